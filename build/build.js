@@ -86,7 +86,7 @@ let resultTerser = await terser.minify(resultEsbuildJS.text, {
     reserved: [], // List of keywords to preserve
     properties: {
       // regex: /.*/, // Yes, I am aware I should be using a RegEx. Yes, like you, I am also suprised the userscript still functions
-      keep_quoted: true, // Should names in quotes be preserved?
+      keep_quoted: true, // Should names in quotes be preserved? Quote the keys of stored JSON objects, so they stay the same between builds
       reserved: ['colors', 'coords', 't'] // What properties should be preserved?
     },
   },
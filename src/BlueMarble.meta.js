@@ -15,6 +15,7 @@
 // @grant        GM_addStyle
 // @grant        GM.setValue
 // @grant        GM_getValue
+// @grant        GM_xmlhttpRequest
 // @resource     CSS-BM-File https://github.com/twojapiez/Wplace-BlueMarble-Auto-Fill/raw/refs/heads/main/dist/BlueMarble.user.css
 // ==/UserScript==
 
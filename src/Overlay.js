@@ -514,6 +514,49 @@ export default class Overlay {
     return this;
   }
 
+  /** Adds a `select` to the overlay.
+   * This `select` element will have properties shared between all `select` elements in the overlay.
+   * You can override the shared properties by using a callback.
+   * @param {Object.<string, any>} [additionalProperties={}] - The DOM properties of the `select` that are NOT shared between all overlay `select` elements. These should be camelCase. The `options` property is an Object of option values to option text.
+   * @param {function(Overlay, HTMLSelectElement):void} [callback=()=>{}] - Additional JS modification to the `select`.
+   * @returns {Overlay} Overlay class instance (this)
+   * @since 0.78.28
+   * @example
+   * // Assume all <select> elements have a shared class (e.g. {'className': 'bar'})
+   * overlay.addSelect({'id': 'foo', 'options': {'a': 'Foo', 'b': 'Bar'}, 'value': 'b'}).buildOverlay(document.body);
+   * // Output:
+   * // (Assume <body> already exists in the webpage)
+   * <body>
+   *   <select id="foo" class="bar">
+   *     <option value="a">Foo</option>
+   *     <option value="b" selected>Bar</option>
+   *   </select>
+   * </body>
+   */
+  addSelect(additionalProperties = {}, callback = () => {}) {
+
+    const properties = {}; // Shared <select> DOM properties
+
+    const options = additionalProperties['options'] ?? {}; // Retrieves the options
+    const value = additionalProperties['value']; // The value can only be selected after the options exist
+
+    delete additionalProperties['options']; // Deletes the options before applying the additional properties to the select
+    delete additionalProperties['value']; // Deletes the value before applying the additional properties to the select
+
+    const select = this.#createElement('select', properties, additionalProperties); // Creates the <select> element
+
+    // For every option, create an <option> element
+    for (const [optionValue, optionText] of Object.entries(options)) {
+      this.#createElement('option', {'value': optionValue, 'textContent': optionText});
+      this.buildElement(); // Signifies that we are done adding children to the option
+    }
+
+    if (value !== undefined) {select.value = value;}
+
+    callback(this, select); // Runs any script passed in through the callback
+    return this;
+  }
+
   /** Updates the inner HTML of the element.
    * The element is discovered by it's id.
    * If the element is an `input`, it will modify the value attribute instead.
@@ -545,9 +588,10 @@ export default class Overlay {
    * Uses requestAnimationFrame for smooth animations and GPU-accelerated transforms.
    * @param {string} moveMe - The ID of the element to be moved
    * @param {string} iMoveThings - The ID of the drag handle element
+   * @param {function(number, number):void} [onDragEnd=()=>{}] - (Optional) Runs with the new X and Y position when a drag ends
    * @since 0.8.2
   */
-  handleDrag(moveMe, iMoveThings) {
+  handleDrag(moveMe, iMoveThings, onDragEnd = () => {}) {
     let isDragging = false;
     let offsetX, offsetY = 0;
     let animationFrame = null;
@@ -624,6 +668,8 @@ export default class Overlay {
     };
 
     const endDrag = () => {
+      if (!isDragging) {return;} // Every mouseup ends a drag, even when nothing is dragged
+
       isDragging = false;
       if (animationFrame) {
         cancelAnimationFrame(animationFrame);
@@ -631,6 +677,10 @@ export default class Overlay {
       }
       document.body.style.userSelect = '';
       iMoveThings.classList.remove('dragging');
+
+      // The last target position is where the element ends up
+      moveMe.style.transform = `translate(${targetX}px, ${targetY}px)`;
+      onDragEnd(targetX, targetY);
     };
 
     // Mouse down - start dragging
@@ -672,6 +722,31 @@ export default class Overlay {
     document.addEventListener('touchcancel', endDrag);
   }
 
+  /** Moves an element to a position, the same way {@link handleDrag} does.
+   * The position is kept inside the window, so the element can always be dragged back.
+   * @param {string} moveMe - The ID of the element to be moved
+   * @param {number} [x] - (Optional) The X position in pixels. Nothing is moved if not a number
+   * @param {number} [y] - (Optional) The Y position in pixels. Nothing is moved if not a number
+   * @since 0.78.34
+   */
+  moveTo(moveMe, x, y) {
+
+    moveMe = document.querySelector(moveMe?.[0] == '#' ? moveMe : '#' + moveMe);
+
+    if (!moveMe || !Number.isFinite(x) || !Number.isFinite(y)) {return;}
+
+    // Keeps at least 50px of the element inside the window
+    if (window.innerWidth && window.innerHeight) {
+      x = Math.min(Math.max(x, 50 - moveMe.offsetWidth), window.innerWidth - 50);
+      y = Math.min(Math.max(y, 0), window.innerHeight - 50);
+    }
+
+    moveMe.style.transform = `translate(${x}px, ${y}px)`;
+    moveMe.style.left = '0px';
+    moveMe.style.top = '0px';
+    moveMe.style.right = '';
+  }
+
   /** Handles status display.
    * This will output plain text into the output Status box.
    * Additionally, this will output an info message to the console.
@@ -1,4 +1,27 @@
 import { uint8ToBase64 } from "./utils";
+import { getColorIdFromRGB, isDefaceColor } from "./palette";
+
+/** The zones of a template mask, and the mask color that marks each zone.
+ * Pixels that are not in a zone are painted normally.
+ * @since 0.78.32
+ */
+export const maskZones = {
+  'first': [0, 255, 0], // Green. Painted before everything else
+  'last': [0, 0, 255], // Blue. Painted after everything else
+  'never': [255, 0, 0], // Red. Never painted or protected
+  'protect': [255, 255, 0] // Yellow. Painted normally. When a mask has this zone, protection mode only watches this zone
+};
+
+/** The names of the mask zones. A mask stores each pixel's zone as its index in this array, plus 1.
+ * @since 0.78.32
+ */
+const maskZoneNames = Object.keys(maskZones);
+
+/** The closest color ID of each RGBA color counted so far. The key is the RGBA color packed into one number.
+ * Each color is only matched to the palette once, since templates repeat the same colors many times.
+ * @since 0.78.27
+ */
+const countedColorIds = new Map();
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -16,7 +39,8 @@ export default class Template {
    * @param {Array<number>} [params.coords=null] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
    * @param {Object} [params.chunked=null] - The affected chunks of the template, and their template for each chunk
    * @param {number} [params.tileSize=1000] - The size of a tile in pixels (assumes square tiles)
-   * @param {number} [params.pixelCount=0] - Total number of pixels in the template (calculated automatically during processing)
+   * @param {boolean} [params.enabled=true] - Should the template be drawn and filled?
+   * @param {string|Array<number>} [params.protection='all'] - Which part of the template protection mode watches. 'all', 'none', or a rectangle as [x, y, width, height] from the top left corner of the template
    * @since 0.65.2
    */
   constructor({
@@ -28,6 +52,8 @@ export default class Template {
     coords = null,
     chunked = null,
     tileSize = 1000,
+    enabled = true,
+    protection = 'all',
   } = {}) {
     this.displayName = displayName;
     this.sortID = sortID;
@@ -37,7 +63,12 @@ export default class Template {
     this.coords = coords;
     this.chunked = chunked;
     this.tileSize = tileSize;
-    this.pixelCount = 0; // Total pixel count in template
+    this.pixelCount = 0; // Number of non-transparent pixels in the template that are not #deface
+    this.defacePixelCount = 0; // Number of #deface (erase) pixels in the template
+    this.colorCounts = {}; // Number of pixels per color ID in the template
+    this.mask = null; // The priority zones of the template. See setMask()
+    this.enabled = enabled; // Should the template be drawn and filled?
+    this.protection = protection; // Which part of the template protection mode watches. See isProtected()
   }
 
   /** Creates chunks of the template for each tile.
@@ -52,14 +83,8 @@ export default class Template {
     const bitmap = await createImageBitmap(this.file); // Create efficient bitmap from uploaded file
     const imageWidth = bitmap.width;
     const imageHeight = bitmap.height;
-    
-    // Calculate total pixel count using standard width × height formula
-    // TODO: Use non-transparent pixels instead of basic width times height
-    const totalPixels = imageWidth * imageHeight;
-    console.log(`Template pixel analysis - Dimensions: ${imageWidth}×${imageHeight} = ${totalPixels.toLocaleString()} pixels`);
-    
-    // Store pixel count in instance property for access by template manager and UI components
-    this.pixelCount = totalPixels;
+
+    this.#resetPixelCounts(); // The pixels are counted while the tiles are shreaded
 
     const templateTiles = {}; // Holds the template tiles
     const templateTilesBuffers = {}; // Holds the buffers of the template tiles
@@ -140,6 +165,9 @@ export default class Template {
               //   imageData.data[pixelIndex + 1] = 30; // Green
               //   imageData.data[pixelIndex + 2] = 30; // Blue
               // }
+            } else {
+              const pixelIndex = (y * canvasWidth + x) * 4;
+              this.#countPixel(imageData.data[pixelIndex], imageData.data[pixelIndex + 1], imageData.data[pixelIndex + 2], imageData.data[pixelIndex + 3]);
             }
           }
         }
@@ -172,8 +200,214 @@ export default class Template {
       pixelY += drawSizeY;
     }
 
+    console.log(`Template pixel analysis - Dimensions: ${imageWidth}×${imageHeight}, Pixels: ${this.pixelCount.toLocaleString()}, #deface: ${this.defacePixelCount.toLocaleString()}`);
     console.log('Template Tiles: ', templateTiles);
     console.log('Template Tiles Buffers: ', templateTilesBuffers);
     return { templateTiles, templateTilesBuffers };
   }
+
+  /** Sets the mask of priority zones for the template.
+   * The mask is an image placed at the same coordinates as the template.
+   * Each mask pixel marks a zone by its color (see {@link maskZones}). Transparent mask pixels are not in a zone.
+   * @param {Blob|null} blob - The mask image, or null to remove the mask
+   * @since 0.78.32
+   */
+  async setMask(blob) {
+
+    if (!blob) {
+      this.mask = null;
+      return;
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+
+    const zones = new Uint8Array(bitmap.width * bitmap.height); // 0 = no zone, otherwise the index in maskZoneNames plus 1
+
+    for (let pixel = 0; pixel < zones.length; pixel++) {
+      const index = pixel * 4;
+      if (imageData.data[index + 3] < 128) {continue;} // Transparent mask pixels are not in a zone
+
+      // Finds the zone with the closest color
+      let minDistanceSquared = Infinity;
+      maskZoneNames.forEach((zone, zoneIndex) => {
+        const [r, g, b] = maskZones[zone];
+        const distanceSquared = (imageData.data[index] - r) ** 2 + (imageData.data[index + 1] - g) ** 2 + (imageData.data[index + 2] - b) ** 2;
+        if (distanceSquared < minDistanceSquared) {
+          minDistanceSquared = distanceSquared;
+          zones[pixel] = zoneIndex + 1;
+        }
+      });
+
+      // Redraws the mask with a see-through version of the zone color
+      const [r, g, b] = maskZones[maskZoneNames[zones[pixel] - 1]];
+      imageData.data.set([r, g, b, 90], index);
+    }
+
+    // Mask pixels outside of a zone are not drawn
+    const protectZone = maskZoneNames.indexOf('protect') + 1;
+    let protectBounds = null; // The bounding box of the "protect" zone, relative to the mask
+    for (let pixel = 0; pixel < zones.length; pixel++) {
+      if (!zones[pixel]) {imageData.data[pixel * 4 + 3] = 0;}
+
+      if (zones[pixel] == protectZone) {
+        const x = pixel % bitmap.width;
+        const y = (pixel / bitmap.width) | 0;
+        protectBounds ??= { minX: x, minY: y, maxX: x, maxY: y };
+        protectBounds.minX = Math.min(protectBounds.minX, x);
+        protectBounds.minY = Math.min(protectBounds.minY, y);
+        protectBounds.maxX = Math.max(protectBounds.maxX, x);
+        protectBounds.maxY = Math.max(protectBounds.maxY, y);
+      }
+    }
+
+    context.putImageData(imageData, 0, 0);
+
+    this.mask = {
+      width: bitmap.width,
+      height: bitmap.height,
+      zones: zones,
+      protectBounds: protectBounds, // Null when the mask has no "protect" zone
+      bitmap: await createImageBitmap(canvas) // Used to show the zones on the canvas
+    };
+  }
+
+  /** Returns if protection mode watches a pixel.
+   * A pixel is watched if the template is protected, the pixel is inside the protected rectangle (if any),
+   * and the pixel is in the "protect" zone of the mask (if the mask has one).
+   * @param {number} globalX - The X coordinate of the pixel across all tiles
+   * @param {number} globalY - The Y coordinate of the pixel across all tiles
+   * @returns {boolean} Is the pixel protected?
+   * @since 0.78.43
+   */
+  isProtected(globalX, globalY) {
+
+    if (this.protection == 'none') {return false;}
+
+    const bounds = this.getProtectedBounds();
+    if (bounds && (globalX < bounds.minX || globalY < bounds.minY || globalX > bounds.maxX || globalY > bounds.maxY)) {return false;}
+
+    return !this.mask?.protectBounds || this.getZone(globalX, globalY) == 'protect';
+  }
+
+  /** Returns the bounding box of the protected part of the template.
+   * Used to skip the tiles that protection mode does not need to fetch.
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} The bounding box across all tiles (inclusive), or null if the whole template is protected
+   * @since 0.78.43
+   */
+  getProtectedBounds() {
+
+    if (!this.coords) {return null;}
+
+    const originX = this.coords[0] * this.tileSize + this.coords[2];
+    const originY = this.coords[1] * this.tileSize + this.coords[3];
+    let bounds = null;
+
+    // The protected rectangle
+    if (Array.isArray(this.protection)) {
+      const [x, y, width, height] = this.protection;
+      bounds = { minX: originX + x, minY: originY + y, maxX: originX + x + width - 1, maxY: originY + y + height - 1 };
+    }
+
+    // The "protect" zone of the mask. Only the part inside the protected rectangle is protected
+    const zoneBounds = this.mask?.protectBounds;
+    if (zoneBounds) {
+      const maskBounds = { minX: originX + zoneBounds.minX, minY: originY + zoneBounds.minY, maxX: originX + zoneBounds.maxX, maxY: originY + zoneBounds.maxY };
+      bounds = !bounds ? maskBounds : {
+        minX: Math.max(bounds.minX, maskBounds.minX),
+        minY: Math.max(bounds.minY, maskBounds.minY),
+        maxX: Math.min(bounds.maxX, maskBounds.maxX),
+        maxY: Math.min(bounds.maxY, maskBounds.maxY)
+      };
+    }
+
+    return bounds;
+  }
+
+  /** Returns the zone of the mask that a pixel is in.
+   * @param {number} globalX - The X coordinate of the pixel across all tiles
+   * @param {number} globalY - The Y coordinate of the pixel across all tiles
+   * @returns {string|null} The zone (see {@link maskZones}), or null if the pixel is not in a zone
+   * @since 0.78.32
+   */
+  getZone(globalX, globalY) {
+
+    if (!this.mask || !this.coords) {return null;}
+
+    const maskX = globalX - (this.coords[0] * this.tileSize + this.coords[2]);
+    const maskY = globalY - (this.coords[1] * this.tileSize + this.coords[3]);
+
+    if (maskX < 0 || maskY < 0 || maskX >= this.mask.width || maskY >= this.mask.height) {return null;}
+
+    return maskZoneNames[this.mask.zones[maskY * this.mask.width + maskX] - 1] ?? null;
+  }
+
+  /** Counts the pixels of already shreaded template tiles.
+   * Used when the template was loaded from storage, since there is no source image to count.
+   * @param {Object<string, ImageBitmap>} templateTiles - The shreaded template tiles
+   * @since 0.78.27
+   */
+  countPixelsFromTiles(templateTiles) {
+
+    this.#resetPixelCounts();
+
+    const shreadSize = 3; // Must match the scale factor in createTemplateTiles()
+    const canvas = new OffscreenCanvas(1, 1);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    for (const bitmap of Object.values(templateTiles || {})) {
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      context.clearRect(0, 0, bitmap.width, bitmap.height);
+      context.drawImage(bitmap, 0, 0);
+      const data = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+      // Only the "center" of every shreaded pixel holds the color
+      for (let y = 1; y < bitmap.height; y += shreadSize) {
+        for (let x = 1; x < bitmap.width; x += shreadSize) {
+          const pixelIndex = (y * bitmap.width + x) * 4;
+          this.#countPixel(data[pixelIndex], data[pixelIndex + 1], data[pixelIndex + 2], data[pixelIndex + 3]);
+        }
+      }
+    }
+  }
+
+  /** Resets the pixel counts of the template.
+   * @since 0.78.27
+   */
+  #resetPixelCounts() {
+    this.pixelCount = 0;
+    this.defacePixelCount = 0;
+    this.colorCounts = {};
+  }
+
+  /** Adds a single template pixel to the pixel counts.
+   * Transparent pixels are not counted. #deface pixels are counted separately.
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} a - Alpha (0-255)
+   * @since 0.78.27
+   */
+  #countPixel(r, g, b, a) {
+    if (a === 0) {return;} // Transparent pixels are not part of the template
+
+    if (isDefaceColor(r, g, b)) {
+      this.defacePixelCount++;
+      return;
+    }
+
+    const packedColor = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+    let colorId = countedColorIds.get(packedColor);
+    if (colorId === undefined) {
+      colorId = getColorIdFromRGB(r, g, b, a);
+      countedColorIds.set(packedColor, colorId);
+    }
+
+    this.colorCounts[colorId] = (this.colorCounts[colorId] || 0) + 1;
+    this.pixelCount++;
+  }
 }
@@ -102,6 +102,7 @@ export default class ApiManager {
             // The server is probably down (NOT a 2xx status)
             
             overlay.handleDisplayError(`You are not logged in!\nCould not fetch userdata.`);
+            document.dispatchEvent(new CustomEvent('bmLoggedOut')); // Lets other parts of the script react, even while the tab is in the background
             return; // Kills itself before attempting to display null userdata
           }
 
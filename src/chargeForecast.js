@@ -0,0 +1,73 @@
+/** Forecasts how long auto-fill takes to complete a template.
+ * Auto-fill waits until it has enough charges for the remaining pixels, or the charge limit, then places them all at once.
+ * Each of these placements is a batch.
+ * @since 0.78.37
+ */
+
+/** A completion forecast.
+ * @typedef {Object} CompletionForecast
+ * @property {number} batchesRemaining - How many more times auto-fill places pixels
+ * @property {number} secondsRemaining - How long until the template is complete, in seconds
+ * @property {Date} completesAt - When the template is complete
+ * @since 0.78.37
+ */
+
+/** Forecasts when auto-fill completes a template.
+ * @param {number} remainingPixels - The pixels left to place
+ * @param {Object} charges - The charges of the user
+ * @param {number} charges.count - The current charges. Can be partial (E.g., 4.5)
+ * @param {number} charges.max - The max charges
+ * @param {number} [charges.rechargeTime=30000] - How long one charge takes to recharge (ms)
+ * @param {number|null} [chargeLimit=null] - The charges auto-fill waits for. Null means the max charges
+ * @returns {CompletionForecast} The forecast
+ * @since 0.78.37
+ */
+export function forecastCompletion(remainingPixels, charges, chargeLimit = null) {
+  const rechargeTime = charges.rechargeTime || 30000;
+  const batchSize = Math.max(1, Math.floor(Math.min(chargeLimit ?? charges.max, charges.max) || 1));
+
+  if (remainingPixels <= 0) {
+    return { batchesRemaining: 0, secondsRemaining: 0, completesAt: new Date() };
+  }
+
+  // The first batch uses the charges the user already has
+  const firstBatch = Math.min(remainingPixels, batchSize);
+  const firstWait = Math.max(0, firstBatch - charges.count) * rechargeTime;
+  const leftover = Math.max(charges.count, firstBatch) - firstBatch; // Charges that are not used by the first batch
+
+  // Every other batch waits for the charges it places
+  const laterPixels = remainingPixels - firstBatch;
+  const laterWait = Math.max(0, laterPixels - leftover) * rechargeTime;
+
+  const secondsRemaining = (firstWait + laterWait) / 1000;
+
+  return {
+    batchesRemaining: 1 + Math.ceil(laterPixels / batchSize),
+    secondsRemaining,
+    completesAt: new Date(Date.now() + secondsRemaining * 1000)
+  };
+}
+
+/** Groups placements into equal time buckets, to chart the placement rate.
+ * @param {Array<{time: number, count: number}>} placementHistory - When pixels were placed (ms since epoch), and how many
+ * @param {number} bucketCount - How many buckets to return
+ * @param {number} [now=Date.now()] - The end of the last bucket (ms since epoch)
+ * @returns {{buckets: Array<number>, bucketDuration: number}} The pixels placed in each bucket, oldest first, and the duration of each bucket (ms)
+ * @since 0.78.37
+ */
+export function getPlacementRateBuckets(placementHistory, bucketCount, now = Date.now()) {
+  const buckets = new Array(bucketCount).fill(0);
+  if (!placementHistory.length) {return { buckets, bucketDuration: 60000 };}
+
+  // The buckets always cover the whole session, in whole minutes
+  const sessionDuration = Math.max(now - placementHistory[0].time, 1);
+  const bucketDuration = Math.ceil(sessionDuration / bucketCount / 60000) * 60000;
+  const start = now - bucketDuration * bucketCount;
+
+  for (const { time, count } of placementHistory) {
+    const index = Math.min(Math.floor((time - start) / bucketDuration), bucketCount - 1);
+    if (index >= 0) {buckets[index] += count;}
+  }
+
+  return { buckets, bucketDuration };
+}
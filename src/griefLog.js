@@ -0,0 +1,174 @@
+import { colorNames } from './palette.js';
+
+/** GriefLog class for remembering the damage that protection mode found.
+ * Each entry is one damage check that found griefed pixels, and what happened to them.
+ * The log is stored as one JSON object in TamperMonkey (GreaseMonkey) storage.
+ * @since 0.78.40
+ */
+export default class GriefLog {
+
+  /** Constructor for GriefLog class.
+   * Loads the stored log synchronously, so the viewer can be built with it.
+   * @param {string} [storageKey='bmGriefLog'] - The storage key of the log
+   * @param {number} [maxEntries=500] - The most entries to keep. The oldest entries are removed first
+   * @param {number} [maxPixelsPerEntry=200] - The most damaged pixels to keep for each entry
+   * @since 0.78.40
+   */
+  constructor(storageKey = 'bmGriefLog', maxEntries = 500, maxPixelsPerEntry = 200) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.maxPixelsPerEntry = maxPixelsPerEntry;
+
+    this.entries = [];
+    this.griefCounts = {}; // How often each pixel was griefed, as "tileX,tileY,pixelX,pixelY" -> count. Not capped like the pixels of each entry
+    try {
+      this.entries = JSON.parse(GM_getValue(storageKey, '[]')) || [];
+      this.griefCounts = JSON.parse(GM_getValue(`${storageKey}Counts`, '{}')) || {};
+    } catch (error) {
+      console.warn(`GriefLog: Could not read the stored grief log. Starting a new one`, error);
+    }
+  }
+
+  /** Adds damage to the log. The damage is unrepaired until the outcome is set.
+   * While the newest entry is unrepaired, damage is added to it instead, so damage that stays unrepaired is only logged once.
+   * @param {Array<Array<number>>} pixels - The damaged pixels, as [tileX, tileY, pixelX, pixelY, expectedColorId, foundColorId]
+   * @param {number} [pixelCount=pixels.length] - How many pixels are damaged, if not all of them are passed in
+   * @returns {Promise<number>} The ID of the entry
+   * @since 0.78.40
+   */
+  async addEntry(pixels, pixelCount = pixels.length) {
+    const openEntry = this.#getOpenEntry();
+    if (openEntry) {
+      const openPixelKeys = new Set(openEntry['openPixelKeys']);
+      const newPixels = pixels.filter(pixel => !openPixelKeys.has(pixel.slice(0, 4).join(',')));
+      newPixels.forEach(pixel => openPixelKeys.add(pixel.slice(0, 4).join(',')));
+      this.#countGrief(newPixels);
+
+      openEntry['pixelCount'] += newPixels.length;
+      openEntry['pixels'] = [...openEntry['pixels'], ...newPixels].slice(0, this.maxPixelsPerEntry);
+      openEntry['openPixelKeys'] = [...openPixelKeys];
+
+      await this.#store();
+      return openEntry['id'];
+    }
+
+    this.#countGrief(pixels);
+
+    const now = Date.now();
+    const id = Math.max(now, (this.entries.at(-1)?.['id'] ?? 0) + 1); // Unique, even when two entries are added in the same millisecond
+
+    this.entries.push({
+      'id': id,
+      'time': new Date(now).toISOString(),
+      'pixelCount': pixelCount,
+      'pixels': pixels.slice(0, this.maxPixelsPerEntry),
+      'outcome': 'unrepaired', // 'repaired', 'fixedByOthers', or 'unrepaired'
+      'repairedCount': 0,
+      'openPixelKeys': pixels.map(pixel => pixel.slice(0, 4).join(',')) // Every damaged pixel, as "tileX,tileY,pixelX,pixelY". Only kept while the entry is unrepaired
+    });
+
+    await this.#store();
+    return id;
+  }
+
+  /** Sets what happened to the damage of an entry.
+   * @param {number} id - The ID of the entry
+   * @param {string} outcome - 'repaired', 'fixedByOthers', or 'unrepaired'
+   * @param {number} [repairedCount=0] - How many more pixels were repaired by us. Added to the pixels repaired before
+   * @since 0.78.40
+   */
+  async setOutcome(id, outcome, repairedCount = 0) {
+    const entry = this.entries.find(entry => entry['id'] === id);
+    if (!entry) {return;}
+
+    entry['outcome'] = outcome;
+    entry['repairedCount'] += repairedCount;
+    if (outcome != 'unrepaired') {delete entry['openPixelKeys'];} // New damage is logged in a new entry
+    await this.#store();
+  }
+
+  /** Returns how often each pixel was griefed.
+   * Damage that stays unrepaired across damage checks is only counted once.
+   * @returns {Object<string, number>} The grief count of each pixel, as "tileX,tileY,pixelX,pixelY" -> count
+   * @since 0.78.41
+   */
+  getGriefCounts() {
+    return this.griefCounts;
+  }
+
+  /** Adds one to the grief count of each pixel.
+   * @param {Array<Array<number>>} pixels - The griefed pixels, as [tileX, tileY, pixelX, pixelY, ...]
+   * @since 0.78.41
+   */
+  #countGrief(pixels) {
+    for (const pixel of pixels) {
+      const pixelKey = pixel.slice(0, 4).join(',');
+      this.griefCounts[pixelKey] = (this.griefCounts[pixelKey] || 0) + 1;
+    }
+  }
+
+  /** Returns the newest entry, if its damage is still unrepaired.
+   * @returns {Object|null} The unrepaired entry, or null if there is none
+   * @since 0.78.40
+   */
+  #getOpenEntry() {
+    const newestEntry = this.entries.at(-1);
+    return (newestEntry?.['outcome'] == 'unrepaired') ? newestEntry : null;
+  }
+
+  /** Returns the entries of the log.
+   * @returns {Array<Object>} The entries, newest first
+   * @since 0.78.40
+   */
+  getEntries() {
+    return [...this.entries].reverse();
+  }
+
+  /** Removes every entry from the log.
+   * @since 0.78.40
+   */
+  async clear() {
+    this.entries = [];
+    this.griefCounts = {};
+    await this.#store();
+  }
+
+  /** Returns the log as a JSON object.
+   * @returns {{entries: Array<Object>}} The log
+   * @since 0.78.40
+   */
+  toJSON() {
+    return { 'entries': this.getEntries().map(({ 'openPixelKeys': openPixelKeys, ...entry }) => entry) };
+  }
+
+  /** Returns the log as CSV text, with one row for each damaged pixel.
+   * @returns {string} The CSV text
+   * @since 0.78.40
+   */
+  toCSV() {
+    const rows = [['Time', 'Outcome', 'Damaged Pixels', 'Repaired Pixels', 'Tile X', 'Tile Y', 'Pixel X', 'Pixel Y', 'Expected Color', 'Found Color']];
+
+    for (const entry of this.getEntries()) {
+      for (const [tileX, tileY, pixelX, pixelY, expectedColorId, foundColorId] of entry['pixels']) {
+        rows.push([
+          entry['time'], entry['outcome'], entry['pixelCount'], entry['repairedCount'],
+          tileX, tileY, pixelX, pixelY,
+          colorNames[expectedColorId] ?? expectedColorId, colorNames[foundColorId] ?? foundColorId
+        ]);
+      }
+    }
+
+    // Every value is quoted, since color names can contain spaces
+    return rows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n');
+  }
+
+  /** Stores the log, and tells the viewer that it changed.
+   * @since 0.78.40
+   */
+  async #store() {
+    this.entries = this.entries.slice(-this.maxEntries);
+    await GM.setValue(this.storageKey, JSON.stringify(this.entries));
+    await GM.setValue(`${this.storageKey}Counts`, JSON.stringify(this.griefCounts));
+    document.dispatchEvent(new CustomEvent('bmGriefLogChanged'));
+  }
+}
@@ -6,7 +6,14 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
+import SettingsManager from './settingsManager.js';
+import GriefLog from './griefLog.js';
+import Notifier, { notificationEvents } from './notifier.js';
 import { consoleLog, consoleWarn } from './utils.js';
+import { colorMap, colorNames, getColorIdFromRGB, getOwnedColorsFromBitmap, quantizeImageData } from './palette.js';
+import { getPlacementStrategy, getPlacementStrategyNames } from './placementStrategies.js';
+import { forecastCompletion, getPlacementRateBuckets } from './chargeForecast.js';
+import { parseRunWindows, getTimeUntilRunWindow } from './runSchedule.js';
 
 const name = GM_info.script.name.toString(); // Name of userscript
 const version = GM_info.script.version.toString(); // Version of userscript
@@ -182,16 +189,42 @@ const overlayMain = new Overlay(name, version); // Constructs a new Overlay obje
 const overlayTabTemplate = new Overlay(name, version); // Constructs a Overlay object for the template tab
 const templateManager = new TemplateManager(name, version, overlayMain); // Constructs a new TemplateManager object
 const apiManager = new ApiManager(templateManager); // Constructs a new ApiManager object
+const settingsManager = new SettingsManager(); // Constructs a new SettingsManager object, which loads the stored settings
+const griefLog = new GriefLog(); // Constructs a new GriefLog object, which loads the stored grief log
+const notifier = new Notifier(name, settingsManager); // Constructs a new Notifier object for desktop and sound alerts
+if (settingsManager.get('showGriefHeatmap')) {templateManager.setGriefHeatmap(griefLog.getGriefCounts());} // Shows the grief heatmap if it was shown before the page loaded
+
+let convertedTemplateFile = null; // The chosen template file after it was converted to the wplace palette
+let templateConversion = Promise.resolve(); // The palette conversion that is running, if any
+const excludedColors = new Set(settingsManager.get('excludedColors')); // Color IDs that auto-fill and protection should not place
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
 
 const storageTemplates = JSON.parse(GM_getValue('bmTemplates', '{}'));
 console.log(storageTemplates);
-templateManager.importJSON(storageTemplates); // Loads the templates
+templateManager.importJSON(storageTemplates).then(restoreTemplateCoords) // Loads the templates, then restores the coordinates of the top template
+  .finally(() => templateManager.startURLRefresh(settingsManager.get('urlRefreshMinutes'))); // Re-downloads templates with a URL once they are loaded, and then periodically
 
 buildOverlayMain(); // Builds the main overlay
+buildTemplateList(); // Builds the list of loaded templates
+
+// Alerts the user when the game can not fetch the user data
+document.addEventListener('bmLoggedOut', () => notifier.notify('loggedOut', 'You are not logged in! Could not fetch userdata.'));
 
-overlayMain.handleDrag('#bm-overlay', '#bm-bar-drag'); // Creates dragging capability on the drag bar for dragging the overlay
+// Rebuilds the grief log viewer and the grief heatmap whenever protection mode logs damage
+document.addEventListener('bmGriefLogChanged', () => {
+    buildGriefLog();
+    if (settingsManager.get('showGriefHeatmap')) {templateManager.setGriefHeatmap(griefLog.getGriefCounts());}
+});
+
+// Rebuilds the template list whenever a template is created, loaded, changed, or deleted
+document.addEventListener('bmTemplatesChanged', () => {
+    buildTemplateList();
+    updateTemplateButtons();
+});
+
+overlayMain.handleDrag('#bm-overlay', '#bm-bar-drag', (x, y) => settingsManager.set('overlayPosition', [x, y])); // Creates dragging capability on the drag bar for dragging the overlay, and remembers where it was dragged to
+overlayMain.moveTo('#bm-overlay', ...(settingsManager.get('overlayPosition') || [])); // Moves the overlay to where it was last dragged to
 
 apiManager.spontaneousResponseListener(overlayMain); // Reads spontaneous fetch responces
 
@@ -273,6 +306,7 @@ function buildOverlayMain() {
                  */
                 img.addEventListener('click', () => {
                     isMinimized = !isMinimized; // Toggle the current state
+                    settingsManager.set('isMinimized', isMinimized);
 
                     const overlay = document.querySelector('#bm-overlay');
                     const header = document.querySelector('#bm-contain-header');
@@ -302,8 +336,13 @@ function buildOverlayMain() {
                         '#bm-contain-automation > *:not(#bm-contain-coords)', // Automation section excluding coordinates
                         '#bm-contain-protection-delay',      // Protection delay spinner
                         '#bm-contain-charge-limit',          // Charge limit spinner
+                        '#bm-contain-session-limits',        // Session pixel budget and time limit
+                        '#bm-contain-run-windows',           // Daily run windows
                         '#bm-input-file-template',           // Template file upload interface
                         '#bm-contain-buttons-action',        // Action buttons container
+                        '#bm-contain-templates',             // List of loaded templates
+                        '#bm-contain-grief-log',             // Grief log viewer (hidden until opened)
+                        '#bm-contain-notifications',         // Notification settings (hidden until opened)
                         `#${instance.outputStatusId}`,       // Main status log textarea for user feedback
                         '#bm-autofill-output'                // Auto-fill specific output textarea
                     ];
@@ -501,6 +540,7 @@ function buildOverlayMain() {
                 if (value > 0) {
                     value--;
                     input.value = value;
+                    settingsManager.set('protectionDelay', value);
                     const secondsDisplay = document.querySelector('#bm-delay-seconds');
                     if (secondsDisplay) {
                         secondsDisplay.textContent = `(${value * 30}s)`;
@@ -508,7 +548,7 @@ function buildOverlayMain() {
                 }
             };
         }).buildElement()
-        .addInput({ 'type': 'number', 'id': 'bm-input-protection-delay', 'value': '0', 'min': '0', 'max': '60', 'step': '1', 'style': 'width: 50px; text-align: center; border: 1px solid #ccc; border-left: 0; border-right: 0; border-radius: 0; margin: 0; height: 24px;' }, (instance, input) => {
+        .addInput({ 'type': 'number', 'id': 'bm-input-protection-delay', 'value': settingsManager.get('protectionDelay'), 'min': '0', 'max': '60', 'step': '1', 'style': 'width: 50px; text-align: center; border: 1px solid #ccc; border-left: 0; border-right: 0; border-radius: 0; margin: 0; height: 24px;' }, (instance, input) => {
             input.oninput = () => {
                 let value = parseInt(input.value) || 0;
                 if (value < 0) {
@@ -519,6 +559,7 @@ function buildOverlayMain() {
                     value = 60;
                     input.value = value;
                 }
+                settingsManager.set('protectionDelay', value);
                 const secondsDisplay = document.querySelector('#bm-delay-seconds');
                 if (secondsDisplay) {
                     secondsDisplay.textContent = `(${value * 30}s)`;
@@ -532,6 +573,7 @@ function buildOverlayMain() {
                 if (value < 60) {
                     value++;
                     input.value = value;
+                    settingsManager.set('protectionDelay', value);
                     const secondsDisplay = document.querySelector('#bm-delay-seconds');
                     if (secondsDisplay) {
                         secondsDisplay.textContent = `(${value * 30}s)`;
@@ -539,7 +581,7 @@ function buildOverlayMain() {
                 }
             };
         }).buildElement()
-        .addSmall({ 'id': 'bm-delay-seconds', 'textContent': '(0s)', 'style': 'margin-left: 0.5ch;' }).buildElement()
+        .addSmall({ 'id': 'bm-delay-seconds', 'textContent': `(${settingsManager.get('protectionDelay') * 30}s)`, 'style': 'margin-left: 0.5ch;' }).buildElement()
         .buildElement()
         .buildElement()
         .addDiv({ 'id': 'bm-contain-charge-limit', 'style': 'display: flex; align-items: center; gap: 0.5ch; margin-top: 0.5em;' })
@@ -564,16 +606,17 @@ function buildOverlayMain() {
                 let value = parseInt(input.value) || 1;
                 if (value > 1) {
                     value--;
-                    input.value = 10; // fuck you and whatever you stand for
+                    input.value = value;
+                    settingsManager.set('chargeLimit', value);
                 }
             };
         }).buildElement()
-        .addInput({ 'type': 'number', 'id': 'bm-input-charge-limit', 'value': '10', 'min': '1', 'max': '10', 'step': '1', 'style': 'width: 50px; text-align: center; border: 1px solid #ccc; border-left: 0; border-right: 0; border-radius: 0; margin: 0; height: 24px;' }, (instance, input) => {
+        .addInput({ 'type': 'number', 'id': 'bm-input-charge-limit', 'value': settingsManager.get('chargeLimit') ?? '10', 'min': '1', 'max': Math.max(settingsManager.get('chargeLimit') ?? 10, 10), 'step': '1', 'style': 'width: 50px; text-align: center; border: 1px solid #ccc; border-left: 0; border-right: 0; border-radius: 0; margin: 0; height: 24px;' }, (instance, input) => {
             // Initialize with user's current max charges or default to 10
             const userCharges = instance.apiManager?.charges;
             if (userCharges && userCharges.max) {
                 input.max = userCharges.max;
-                input.value = 10;
+                input.value = Math.min(settingsManager.get('chargeLimit') ?? 10, userCharges.max);
 
                 // Update the display as well
                 const chargeLimitDisplay = document.querySelector('#bm-charge-limit-display');
@@ -606,6 +649,7 @@ function buildOverlayMain() {
                     value = maxCharges;
                     input.value = value;
                 }
+                settingsManager.set('chargeLimit', value);
             };
         }).buildElement()
         .addButton({ 'id': 'bm-button-charge-increase', 'textContent': '+', 'style': 'width: 24px; height: 24px; padding: 0; border-radius: 0 4px 4px 0; border: 1px solid #ccc; font-size: 16px; line-height: 1; margin: 0;' }, (instance, button) => {
@@ -629,14 +673,47 @@ function buildOverlayMain() {
                 if (value < maxCharges) {
                     value++;
                     input.value = value;
+                    settingsManager.set('chargeLimit', value);
                 }
             };
         }).buildElement()
         .addSmall({ 'id': 'bm-charge-limit-display', 'textContent': 'N/A', 'style': 'margin-left: 0.5ch;' }).buildElement()
         .buildElement()
         .buildElement()
+        .addDiv({ 'id': 'bm-contain-session-limits' })
+        .addP({ 'textContent': 'Session Limit:', 'style': 'margin: 0; white-space: nowrap;' }).buildElement()
+        .addInput({ 'type': 'number', 'id': 'bm-input-session-pixels', 'placeholder': 'Pixels', 'title': 'The most pixels auto-fill places before stopping. Empty means no limit', 'value': settingsManager.get('sessionPixelBudget') || '', 'min': '0', 'step': '1' }, (instance, input) => {
+            input.onchange = () => {
+                const value = Math.max(parseInt(input.value) || 0, 0);
+                input.value = value || '';
+                settingsManager.set('sessionPixelBudget', value);
+            };
+        }).buildElement()
+        .addInput({ 'type': 'number', 'id': 'bm-input-session-hours', 'placeholder': 'Hours', 'title': 'The hours auto-fill runs for before stopping. Empty means no limit', 'value': settingsManager.get('sessionHourLimit') || '', 'min': '0', 'step': '0.5' }, (instance, input) => {
+            input.onchange = () => {
+                const value = Math.max(parseFloat(input.value) || 0, 0);
+                input.value = value || '';
+                settingsManager.set('sessionHourLimit', value);
+            };
+        }).buildElement()
+        .buildElement()
+        .addDiv({ 'id': 'bm-contain-run-windows' })
+        .addP({ 'textContent': 'Run Windows:', 'style': 'margin: 0; white-space: nowrap;' }).buildElement()
+        .addInput({ 'type': 'text', 'id': 'bm-input-run-windows', 'placeholder': '08:00-12:00, 22:00-02:00', 'title': 'The daily times auto-fill runs in. Auto-fill sleeps outside of them. Empty means always', 'value': settingsManager.get('runWindows') }, (instance, input) => {
+            input.onchange = () => {
+                try {
+                    const runWindows = parseRunWindows(input.value);
+                    settingsManager.set('runWindows', input.value.trim());
+                    instance.handleDisplayStatus(runWindows.length ? `Auto-fill runs ${input.value.trim()}` : 'Auto-fill runs at any time');
+                } catch (error) {
+                    instance.handleDisplayError(error.message);
+                }
+            };
+        }).buildElement()
+        .buildElement()
         .buildElement()
-        .addInputFile({ 'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif' }, (instance, input) => {
+        .addInputFile({ 'id': 'bm-input-file-template', 'textContent': 'Upload Template', 'accept': 'image/png, image/jpeg, image/webp, image/bmp, image/gif' }, (instance, container, input) => {
+            input.addEventListener('change', () => updateTemplateConversion());
             input.addEventListener('change', (event) => {
                 const file = event.target.files[0];
                 if (!file) return;
@@ -669,6 +746,9 @@ function buildOverlayMain() {
 
                     instance.handleDisplayStatus(`📍 Auto-populated coordinates from filename: (${tlX},${tlY}) to (${pxX},${pxY})`);
 
+                    // The converted template is previewed before it is created
+                    if (document.querySelector('#bm-select-convert')?.value != 'off') {return;}
+
                     // Automatically click the Create button after populating coordinates
                     const createButton = document.querySelector('#bm-button-create');
                     if (createButton) {
@@ -683,27 +763,40 @@ function buildOverlayMain() {
                 }
             });
         }).buildElement()
+        .addDiv({ 'id': 'bm-contain-convert' })
+        .addSelect({ 'id': 'bm-select-convert', 'title': 'How the template colors are converted to the wplace palette', 'options': { 'off': 'Original colors', 'nearest': 'Nearest color', 'floyd-steinberg': 'Floyd–Steinberg dither', 'ordered': 'Ordered dither' }, 'value': settingsManager.get('convertMode') }, (instance, select) => {
+            select.onchange = () => {
+                settingsManager.set('convertMode', select.value);
+                updateTemplateConversion();
+            };
+        }).buildElement()
+        .addCheckbox({ 'id': 'bm-checkbox-convert-owned', 'textContent': 'Owned colors only', 'title': 'Only convert to colors you own', 'checked': settingsManager.get('convertOwnedOnly') }, (instance, label, checkbox) => {
+            checkbox.onchange = () => {
+                settingsManager.set('convertOwnedOnly', checkbox.checked);
+                updateTemplateConversion();
+            };
+        }).buildElement()
+        .buildElement()
+        .addImg({ 'id': 'bm-template-preview', 'alt': 'Converted template preview', 'hidden': true }).buildElement()
+        .addDiv({ 'id': 'bm-contain-url' })
+        .addInput({ 'type': 'url', 'id': 'bm-input-url', 'placeholder': 'Template URL (optional)', 'title': 'Create the template from an image URL instead of a file. It will be re-downloaded periodically' }).buildElement()
+        .addInput({ 'type': 'number', 'id': 'bm-input-url-refresh', 'min': 0, 'max': 1440, 'step': 1, 'value': settingsManager.get('urlRefreshMinutes'), 'title': 'Minutes between URL template refreshes (0 = never)' }, (instance, input) => {
+            input.onchange = () => {
+                const minutes = Math.min(Math.max(parseInt(input.value) || 0, 0), 1440);
+                input.value = minutes;
+                settingsManager.set('urlRefreshMinutes', minutes);
+                templateManager.startURLRefresh(minutes);
+                instance.handleDisplayStatus(minutes ? `URL templates will refresh every ${minutes} minute${minutes == 1 ? '' : 's'}` : `URL templates will not refresh`);
+            };
+        }).buildElement()
+        .addSmall({ 'textContent': 'min' }).buildElement()
+        .buildElement()
         .addDiv({ 'id': 'bm-contain-buttons-template' })
         .addButton({ 'id': 'bm-button-enable', 'textContent': 'Enable' }, (instance, button) => {
-            button.onclick = () => {
-                instance.apiManager?.templateManager?.setTemplatesShouldBeDrawn(true);
+            button.onclick = async () => {
+                // The template list and the auto-fill buttons are updated by the "bmTemplatesChanged" event
+                await instance.apiManager?.templateManager?.setAllTemplatesEnabled(true);
                 instance.handleDisplayStatus(`Enabled templates!`);
-                // Enable auto-fill button when templates are enabled
-                const autoFillBtn = document.querySelector('#bm-button-autofill');
-                const modeBtn = document.querySelector('#bm-button-mode');
-                const protectBtn = document.querySelector('#bm-button-protect');
-                if (instance.apiManager?.templateManager?.templatesArray.length && instance.apiManager?.templateManager?.templatesShouldBeDrawn) {
-                    if (autoFillBtn) {
-                        autoFillBtn.disabled = false;
-                    }
-                    if (modeBtn) {
-                        modeBtn.disabled = false;
-                    }
-                    if (protectBtn) {
-                        protectBtn.disabled = false;
-                    }
-
-                }
             }
         }).buildElement()
         .addButton({ 'id': 'bm-button-create', 'textContent': 'Create' }, (instance, button) => {
@@ -719,33 +812,79 @@ function buildOverlayMain() {
                 const coordPxY = document.querySelector('#bm-input-py');
                 if (!coordPxY.checkValidity()) { coordPxY.reportValidity(); instance.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?'); return; }
 
+                const coords = [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)];
+                const url = document.querySelector('#bm-input-url')?.value.trim();
+
+                // If there is no file, but there is a URL, the template is downloaded from the URL
+                if (!input?.files[0] && url) {
+                    await templateManager.createTemplateFromURL(url, coords);
+                    return;
+                }
+
                 // Kills itself if there is no file
                 if (!input?.files[0]) { instance.handleDisplayError(`No file selected!`); return; }
 
-                await templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+                await templateConversion; // Waits for the palette conversion of the file, if any
+
+                await templateManager.createTemplate(convertedTemplateFile ?? input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), coords);
 
                 instance.handleDisplayStatus(`Drew to canvas!`);
             }
         }).buildElement()
         .addButton({ 'id': 'bm-button-disable', 'textContent': 'Disable' }, (instance, button) => {
-            button.onclick = () => {
-                instance.apiManager?.templateManager?.setTemplatesShouldBeDrawn(false);
+            button.onclick = async () => {
+                // The template list and the auto-fill buttons are updated by the "bmTemplatesChanged" event
+                await instance.apiManager?.templateManager?.setAllTemplatesEnabled(false);
                 instance.handleDisplayStatus(`Disabled templates!`);
-                // Disable auto-fill button when templates are disabled
-                const autoFillBtn = document.querySelector('#bm-button-autofill');
-                const modeBtn = document.querySelector('#bm-button-mode');
-                const protectBtn = document.querySelector('#bm-button-protect');
-                if (autoFillBtn) {
-                    autoFillBtn.disabled = true;
-                }
-                if (modeBtn) {
-                    modeBtn.disabled = true;
-                }
-                if (protectBtn) {
-                    protectBtn.disabled = true;
-                }
             }
         }).buildElement()
+        .addButton({ 'id': 'bm-button-import', 'textContent': 'Import', 'title': 'Import templates from a Blue Marble or osu! Place JSON file' }, (instance, button) => {
+            button.onclick = () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = 'application/json, .json';
+                input.onchange = async () => {
+                    const file = input.files?.[0];
+                    if (!file) { return; }
+
+                    let json = null;
+                    try {
+                        json = JSON.parse(await file.text());
+                    } catch (error) {
+                        instance.handleDisplayError(`Could not read "${file.name}"! Is it a JSON file?`);
+                        return;
+                    }
+
+                    const templateCount = templateManager.templatesArray.length;
+                    let errors = null;
+                    try {
+                        errors = await templateManager.importJSON(json, true);
+                    } catch (error) {
+                        console.error(`Failed to import "${file.name}":`, error);
+                        instance.handleDisplayError(`Could not import "${file.name}"! ${error.message}`);
+                        return;
+                    }
+
+                    if (!errors) {
+                        instance.handleDisplayError(`"${file.name}" is not a template file!`);
+                        return;
+                    }
+
+                    const importedCount = templateManager.templatesArray.length - templateCount;
+                    if (errors.length) {
+                        instance.handleDisplayError(`Imported ${importedCount} template${importedCount == 1 ? '' : 's'} from "${file.name}", but:\n${errors.join('\n')}`);
+                    } else {
+                        instance.handleDisplayStatus(`Imported ${importedCount} template${importedCount == 1 ? '' : 's'} from "${file.name}"!`);
+                    }
+                };
+                input.click();
+            };
+        }).buildElement()
+        .addButton({ 'id': 'bm-button-export', 'textContent': 'Export', 'title': 'Export all templates as a Blue Marble JSON file' }, (instance, button) => {
+            button.onclick = async () => {
+                await exportTemplates();
+            };
+        }).buildElement()
         .addButton({ 'id': 'bm-button-autofill', 'textContent': 'Auto Fill', 'disabled': true }, (instance, button) => {
             // ========== CLEAN AUTO-FILL ARCHITECTURE ==========
 
@@ -755,8 +894,10 @@ function buildOverlayMain() {
                     this.button = button;
                     this.state = {
                         isRunning: false,
-                        mode: 'IDLE', // 'IDLE', 'FILLING', 'PROTECTING', 'WAITING_CHARGES'
-                        lastCycleTime: 0
+                        mode: 'IDLE', // 'IDLE', 'FILLING', 'PROTECTING', 'WAITING_CHARGES', 'WAITING_RUN_WINDOW'
+                        lastCycleTime: 0,
+                        isPaused: false, // Paused auto-fill keeps its mode, and waits at the next safe point
+                        sessionStartTime: 0 // When auto-fill was started. Used for the session time limit
                     };
                     this.config = {
                         maxRetries: 3,
@@ -764,10 +905,11 @@ function buildOverlayMain() {
                         protectionCheckInterval: 10000,
                         cycleDelay: 20000
                     };
-                    this.placedPixels = new Set();
                     this.protectionInterval = null;
                     this.protectionCheckInProgress = false;
                     this.protectionRepairInProgress = false;
+                    this.consecutiveFailures = 0; // Failed placements and cycles since the last successful placement
+                    this.placementLock = Promise.resolve(); // Resolves when the pixels being placed are placed. Filling and repairs take turns
                     this.pixelPlacer = new PixelPlacer();
                     this.chargeManager = new ChargeManager(instance.apiManager);
                 }
@@ -789,11 +931,99 @@ function buildOverlayMain() {
                 setState(mode) {
                     this.state.mode = mode;
                     console.log(`AUTOFILL: State changed to ${mode}`);
+                    this.saveSession();
+                    this.updatePauseButton();
+                }
+
+                // The pause button can only be used while auto-fill is running
+                updatePauseButton() {
+                    const pauseButton = document.querySelector('#bm-button-pause');
+                    if (!pauseButton) return;
+
+                    pauseButton.disabled = this.state.mode === 'IDLE';
+                    pauseButton.textContent = this.state.isPaused ? 'Resume' : 'Pause';
+                }
+
+                // Pauses auto-fill at the next safe point, between chunk placements
+                pause(message = '⏸️ Auto-fill paused - it stops before the next chunk') {
+                    if (!this.state.isRunning || this.state.isPaused) return;
+
+                    console.log("AUTOFILL: Pausing");
+                    this.state.isPaused = true;
+                    this.updatePauseButton();
+                    this.updateUI(message);
+                }
+
+                // Resumes paused auto-fill in the mode it was paused in
+                resume() {
+                    if (!this.state.isPaused) return;
+
+                    console.log(`AUTOFILL: Resuming in ${this.state.mode} mode`);
+                    this.state.isPaused = false;
+                    this.updatePauseButton();
+                    this.updateUI('▶️ Auto-fill resumed');
+                }
+
+                async waitWhilePaused() {
+                    while (this.state.isPaused && this.state.isRunning) {
+                        await this.sleep(1000);
+                    }
+                }
+
+                // Stores the session, so it can be resumed after the page reloads
+                saveSession() {
+                    GM.setValue('bmAutoFillSession', JSON.stringify({
+                        'isActive': this.state.isRunning || this.state.mode === 'PROTECTING',
+                        'mode': this.state.mode,
+                        'savedAt': Date.now(),
+                        'sessionStartTime': this.state.sessionStartTime, // The session limits count from the start of the session, across reloads
+                        'placementHistory': placementHistory.map(({ time, count }) => [time, count])
+                    }));
+                }
+
+                // Resumes the session that was active when the page was closed, once the templates and user data are ready
+                async resumeSession() {
+                    let session = null;
+                    try {
+                        session = JSON.parse(GM_getValue('bmAutoFillSession', 'null'));
+                    } catch (error) {
+                        console.warn('AUTOFILL: Could not read the stored session:', error);
+                    }
+
+                    if (!session?.['isActive']) return;
+
+                    this.updateUI('⏳ Waiting for templates and user data to resume the previous session...');
+
+                    // Waits up to 1 minute for the templates and the user data (/me) to load
+                    for (let attempt = 0; attempt < 30 && !(this.validateTemplate() && this.instance.apiManager?.charges); attempt++) {
+                        await this.sleep(2000);
+                        if (!this.instance.apiManager?.charges) await this.refreshUserData();
+                    }
+
+                    if (this.state.isRunning) return; // The user started auto-fill while we waited
+
+                    if (!this.validateTemplate() || !this.instance.apiManager?.charges) {
+                        notifier.notify('unexpectedStop', 'Could not resume the previous session after the page reloaded');
+                        return this.showError('⚠️ Could not resume the previous session. Are you logged in, with a template enabled?');
+                    }
+
+                    // The charge limit, protection delay, mode, and protect toggle are restored by the settings store
+                    const minutesAgo = Math.round((Date.now() - (session['savedAt'] || Date.now())) / 60000);
+                    const shouldResume = settingsManager.get('autoResume')
+                        || confirm(`${name}: Auto-fill was ${session['mode'] === 'PROTECTING' ? 'protecting' : 'filling'} the template ${minutesAgo} minute${minutesAgo == 1 ? '' : 's'} ago, before the page reloaded. Resume it?`);
+
+                    if (!shouldResume) {
+                        this.saveSession(); // Forgets the session, since it is not active
+                        return this.updateUI('⏹️ Previous session was not resumed');
+                    }
+
+                    console.log(`AUTOFILL: Resuming session that was in ${session['mode']} mode`);
+                    this.updateUI('🔁 Resuming previous auto-fill session...');
+                    await this.start(session); // Protection starts again by itself once the template is complete
                 }
 
                 validateTemplate() {
-                    return this.instance.apiManager?.templateManager?.templatesArray.length &&
-                        this.instance.apiManager?.templateManager?.templatesShouldBeDrawn;
+                    return this.instance.apiManager?.templateManager?.getEnabledTemplates().length;
                 }
 
                 updateChargeLimitUI() {
@@ -835,7 +1065,8 @@ function buildOverlayMain() {
                     }
                 }
 
-                async start() {
+                // Starts auto-fill. A resumed session keeps counting its pixels and time toward the session limits
+                async start(resumedSession = null) {
                     if (this.state.isRunning) {
                         // If we're running (including protection mode), stop everything
                         console.log("AUTOFILL: Already running, stopping current operation");
@@ -847,23 +1078,47 @@ function buildOverlayMain() {
                     }
 
                     await this.refreshUserData();
+
+                    // Pixels that failed too many times get another chance
+                    abandonedPixels.clear();
+                    pixelRetries.clear();
+                    for (const result of Object.keys(verificationCounts)) {verificationCounts[result] = 0;}
+                    placementHistory.length = 0; // The placement rate is charted for each session
+                    lastFullScan = null; // The next scan counts every pixel
+                    this.state.sessionStartTime = Date.now();
+
+                    if (resumedSession?.['sessionStartTime']) {
+                        this.state.sessionStartTime = resumedSession['sessionStartTime'];
+                        placementHistory.push(...(resumedSession['placementHistory'] || []).map(([time, count]) => ({ time, count })));
+                    }
+
+                    this.state.isPaused = false;
+                    this.consecutiveFailures = 0;
                     this.state.isRunning = true;
                     this.setState('FILLING');
                     this.updateUI('🚀 Auto-fill started!', 'Stop Fill');
 
                     this.runMainLoop();
+
+                    // Protects the finished parts while the rest of the templates are filled
+                    if (window.bmProtectMode && this.hasLimitedProtection()) {
+                        console.log("AUTOFILL: Protecting the protected parts of the templates while filling");
+                        this.startProtectionInterval();
+                    }
                 }
 
-                stop() {
-                    console.log("AUTOFILL: User requested stop");
+                stop(reason = '⏹️ Auto-fill stopped by user', isUnexpected = false) {
+                    console.log(`AUTOFILL: Stopping - ${reason}`);
+                    if (isUnexpected) {notifier.notify('unexpectedStop', reason);}
                     this.state.isRunning = false;
+                    this.state.isPaused = false;
                     this.setState('IDLE');
                     this.clearProtectionMode();
 
                     // Clean up UI elements that might be open from protection mode
                     this.cleanupUI();
 
-                    this.updateUI('⏹️ Auto-fill stopped by user', 'Auto Fill');
+                    this.updateUI(reason, 'Auto Fill');
                 }
 
                 cleanupUI() {
@@ -900,6 +1155,9 @@ function buildOverlayMain() {
                 async runMainLoop() {
                     while (this.state.isRunning) {
                         try {
+                            await this.waitWhilePaused();
+                            if (!this.state.isRunning) break;
+
                             // Skip cycle if protection is actively repairing damage
                             if (this.protectionRepairInProgress) {
                                 console.log("AUTOFILL: Skipping main loop cycle - protection repair in progress");
@@ -911,6 +1169,7 @@ function buildOverlayMain() {
                             await this.executeCycle();
                         } catch (error) {
                             console.error('AUTOFILL: Cycle error:', error);
+                            this.countFailure(error.message);
                             this.updateUI(`❌ Error: ${error.message}. Retrying in 10s...`);
                             await this.sleep(10000);
                         }
@@ -930,6 +1189,7 @@ function buildOverlayMain() {
                             await this.waitForCharges(cycleResult.waitTime, cycleResult.pixelsNeeded);
                             break;
                         case 'START_PROTECTION':
+                            notifier.notify('complete', 'Template completed! All owned color pixels are placed. Protecting it now');
                             this.startProtectionMode();
                             break;
                         case 'CONTINUE_PROTECTION':
@@ -938,6 +1198,61 @@ function buildOverlayMain() {
                         case 'COMPLETE':
                             this.complete();
                             break;
+                        case 'SESSION_LIMIT_REACHED':
+                            this.stop(`⏹️ Auto-fill stopped: ${cycleResult.reason}`);
+                            break;
+                        case 'WAIT_FOR_RUN_WINDOW':
+                            await this.waitForRunWindow(cycleResult.waitTime);
+                            break;
+                    }
+                }
+
+                // Returns why the session has to stop, or null if the session pixel budget and time limit are not reached
+                getSessionLimitReason() {
+                    const pixelBudget = settingsManager.get('sessionPixelBudget');
+                    const placed = getPixelsPlacedThisSession();
+                    if (pixelBudget && placed >= pixelBudget) {
+                        return `session pixel budget reached (${placed.toLocaleString()}/${pixelBudget.toLocaleString()} pixels)`;
+                    }
+
+                    const hourLimit = settingsManager.get('sessionHourLimit');
+                    if (hourLimit && Date.now() - this.state.sessionStartTime >= hourLimit * 3600000) {
+                        return `session time limit reached (${hourLimit} hours)`;
+                    }
+
+                    return null;
+                }
+
+                // Returns how many more pixels can be placed this session
+                getRemainingPixelBudget() {
+                    const pixelBudget = settingsManager.get('sessionPixelBudget');
+                    return pixelBudget ? Math.max(pixelBudget - getPixelsPlacedThisSession(), 0) : Infinity;
+                }
+
+                // Returns how long until the next run window opens (ms). 0 if auto-fill can run now
+                getRunWindowWaitTime() {
+                    try {
+                        return getTimeUntilRunWindow(parseRunWindows(settingsManager.get('runWindows')));
+                    } catch (error) {
+                        console.warn('AUTOFILL: Ignoring the run windows:', error);
+                        return 0;
+                    }
+                }
+
+                async waitForRunWindow(waitTime) {
+                    const previousMode = this.state.mode;
+                    this.setState('WAITING_RUN_WINDOW');
+
+                    // Checks every minute, in case the run windows are changed
+                    while (waitTime > 0 && this.state.isRunning) {
+                        this.updateUI(`🌙 Outside of the run windows. Resuming in ${this.formatTime(waitTime / 1000)}`);
+                        await this.sleep(Math.min(60000, waitTime));
+                        waitTime = this.getRunWindowWaitTime();
+                    }
+
+                    if (this.state.isRunning) {
+                        this.setState(previousMode === 'PROTECTING' ? 'PROTECTING' : 'FILLING');
+                        this.updateUI('☀️ Run window opened - resuming auto-fill');
                     }
                 }
 
@@ -949,7 +1264,19 @@ function buildOverlayMain() {
                         return { action: 'WAIT_FOR_CHARGES', waitTime: 5000 };
                     }
 
-                    const pixelsToPlace = await this.getPixelsToPlace();
+                    // The session limits and run windows are checked before each batch
+                    const sessionLimitReason = this.getSessionLimitReason();
+                    if (sessionLimitReason) {
+                        return { action: 'SESSION_LIMIT_REACHED', reason: sessionLimitReason };
+                    }
+
+                    const runWindowWaitTime = this.getRunWindowWaitTime();
+                    if (runWindowWaitTime > 0) {
+                        return { action: 'WAIT_FOR_RUN_WINDOW', waitTime: runWindowWaitTime };
+                    }
+
+                    const pixelBudget = this.getRemainingPixelBudget();
+                    const pixelsToPlace = await this.getPixelsToPlace(pixelBudget);
 
                     if (pixelsToPlace.totalRemainingPixels === 0) {
                         if (window.bmProtectMode) {
@@ -961,7 +1288,7 @@ function buildOverlayMain() {
                         }
                     }
 
-                    const totalPixelCount = pixelsToPlace.totalRemainingPixels;
+                    const totalPixelCount = Math.min(pixelsToPlace.totalRemainingPixels, pixelBudget); // Only waits for the charges the budget can use
                     console.log(`D_AUTOFILL: Before charge check - chunks: ${pixelsToPlace.length}, totalPixels: ${totalPixelCount}, charges:`, charges);
 
                     // Always wait for charges if needed
@@ -976,7 +1303,7 @@ function buildOverlayMain() {
                     return { action: 'PLACE_PIXELS', pixels: pixelsToPlace };
                 }
 
-                async getPixelsToPlace() {
+                async getPixelsToPlace(maxPixels = Infinity, { isProtection = false, isWhileFilling = false } = {}) {
                     await this.refreshUserData();
                     const charges = Math.floor(this.instance.apiManager?.charges?.count || 0);
                     const bitmap = this.instance.apiManager?.extraColorsBitmap || 0;
@@ -984,28 +1311,128 @@ function buildOverlayMain() {
 
                     if (ownedColors.length === 0) {
                         console.log("AUTOFILL: No owned colors found");
-                        return [];
+                        return getEmptyPixelResult();
                     }
                     
-                    const pixelResult = await getNextPixels(charges || 1, ownedColors);
-                    updateProgressDisplay(pixelResult.totalRemainingPixels);
+                    updatePaletteGrid(ownedColors);
+
+                    const pixelResult = await getNextPixels(Math.min(charges || 1, maxPixels), ownedColors, { isProtection, isWhileFilling });
+
+                    // Scans can stop early, so the progress is counted by the last full scan, minus the pixels placed since
+                    if (!isProtection && lastFullScan) {
+                        const placedSinceFullScan = getPixelsPlacedThisSession() - lastFullScan.placedCount;
+                        updateProgressDisplay(Math.max(0, lastFullScan.totalRemainingPixels - placedSinceFullScan), lastFullScan.templateRemainingPixels, lastFullScan.blockedPixels);
+                    }
 
                     console.log(`D_AUTOFILL: getPixelsToPlace - Charge Count: ${charges || 0}, Chunkgroup.length: ${pixelResult.chunkGroups?.length || 0} chunks, totalPixels: ${pixelResult.totalRemainingPixels}`);
 
                     return pixelResult;
                 }
 
+                // Places the pixels. Returns how many pixels were placed, which is less than all of them if a placement fails or auto-fill stops
                 async placePixels(chunkGroups) {
-                    this.setState('FILLING');
+                    if (this.state.mode !== 'PROTECTING') this.setState('FILLING'); // Protection repairs stay in protection mode
                     console.log(`AUTOFILL: Placing pixels in ${chunkGroups.length} chunks`);
                     this.updateUI(`🎯 Found ${chunkGroups.reduce((sum, chunk) => sum + chunk[1].length, 0)} pixels to place`);
 
-                    for (let i = 0; i < chunkGroups.length && this.state.isRunning; i++) {
-                        await this.pixelPlacer.placeChunk(chunkGroups[i], i > 0);
-                    }
+                    // Filling and protection repairs can run at the same time. Only one of them places pixels at once
+                    let placedCount = 0;
+                    const isPlaced = await this.withPlacementLock(async () => {
+                        for (let i = 0; i < chunkGroups.length && this.isActive(); i++) {
+                            // Chunks are a safe point to pause at. The rest of the chunks are placed on resume
+                            if (this.state.isPaused) {
+                                await this.waitWhilePaused();
+                                if (!this.isActive()) return false;
+                            }
+
+                            const placement = await this.pixelPlacer.placeChunk(chunkGroups[i], i > 0);
+                            if (placement.outcome === 'success') {placedCount += chunkGroups[i][1].length;}
+                            if (!await this.recoverFromPlacement(placement, chunkGroups[i])) {return false;}
+                        }
+                        return this.isActive();
+                    });
+                    this.saveSession(); // Stores the placed pixels, so the session limits still count them after a reload
+                    if (!isPlaced) return placedCount;
 
                     this.updateUI('✅ Pixel placement completed');
                     await this.sleep(this.config.cycleDelay);
+                    return placedCount;
+                }
+
+                // Is auto-fill filling, or protecting a completed template?
+                isActive() {
+                    return this.state.isRunning || this.state.mode === 'PROTECTING';
+                }
+
+                // Runs a task once the pixels being placed are placed
+                async withPlacementLock(task) {
+                    const previousPlacement = this.placementLock;
+                    let release;
+                    this.placementLock = new Promise(resolve => release = resolve);
+
+                    await previousPlacement;
+                    try {
+                        return await task();
+                    } finally {
+                        release();
+                    }
+                }
+
+                // Alerts the user once placements keep failing
+                countFailure(message) {
+                    this.consecutiveFailures++;
+                    if (this.consecutiveFailures === failureAlertThreshold) {
+                        notifier.notify('placementFailures', `Auto-fill failed ${this.consecutiveFailures} times in a row. Last error: ${message}`);
+                    }
+                }
+
+                // Recovers from a failed pixel placement. Returns false if the rest of the cycle should be skipped
+                async recoverFromPlacement(placement, chunkGroup) {
+                    const [chunkCoords, pixels] = chunkGroup;
+
+                    if (placement.outcome === 'success') {
+                        this.consecutiveFailures = 0;
+                    } else {
+                        this.countFailure(placement.message);
+                    }
+
+                    switch (placement.outcome) {
+                        case 'success':
+                            return true;
+                        case 'unauthorized':
+                            this.stop(`🔒 Auto-fill stopped: ${placement.message}`, true);
+                            return false;
+                        case 'outOfCharges':
+                            // The charges are out of date. The next cycle waits for charges again
+                            this.updateUI(`🔋 ${placement.message}. Refreshing charges...`);
+                            await this.refreshUserData();
+                            return false;
+                        case 'forbiddenColor': {
+                            // The owned colors are out of date. Only drops the pixels with colors that are not owned anymore
+                            this.updateUI(`🎨 ${placement.message}. Refreshing owned colors...`);
+                            await this.refreshUserData();
+                            const ownedColors = getOwnedColorsFromBitmap(this.instance.apiManager?.extraColorsBitmap || 0);
+                            const unownedPixels = pixels.filter(([, , colorId]) => !ownedColors.includes(colorId));
+                            this.dropPixels(chunkCoords, unownedPixels.length ? unownedPixels : pixels);
+                            return true;
+                        }
+                        case 'malformed':
+                            this.updateUI(`⚠️ ${placement.message}`);
+                            this.dropPixels(chunkCoords, pixels);
+                            return true;
+                        default: // Rate limited, or server errors, that were retried too many times
+                            this.updateUI(`⚠️ ${placement.message}. Skipping chunk ${chunkCoords[0]},${chunkCoords[1]} for now`);
+                            return false;
+                    }
+                }
+
+                // Stops placing pixels until auto-fill restarts
+                dropPixels(chunkCoords, pixels) {
+                    for (const [x, y] of pixels) {
+                        abandonedPixels.add(`${chunkCoords[0]},${chunkCoords[1]},${x},${y}`);
+                    }
+                    console.warn(`AUTOFILL: Dropped ${pixels.length} pixels in chunk ${chunkCoords[0]},${chunkCoords[1]}`);
+                    updateAutoFillOutput(`🗑️ Dropped ${pixels.length} pixels that can not be placed. They are placed again when auto-fill restarts`);
                 }
 
                 async waitForCharges(waitTime, pixelsNeeded) {
@@ -1074,12 +1501,23 @@ function buildOverlayMain() {
 
                     this.setState('PROTECTING');
                     this.updateUI('🛡️ Protection mode active - monitoring template', 'Stop Fill');
+                    this.startProtectionInterval();
+                }
+
+                // Is a rectangle or mask zone of a template protected? Then it can be protected while the rest is filled
+                hasLimitedProtection() {
+                    return this.instance.apiManager?.templateManager?.getEnabledTemplates()
+                        .some(template => template.protection != 'none' && template.getProtectedBounds());
+                }
+
+                startProtectionInterval() {
+                    if (this.protectionInterval) return; // Already protecting while filling
 
                     // Set up protection interval to check every 10 seconds
                     this.protectionInterval = setInterval(async () => {
                         try {
-                            // Only run if we're still in protection mode and not already checking
-                            if (this.state.mode === 'PROTECTING' && !this.protectionCheckInProgress) {
+                            // Only run if we're still filling or protecting, and not already checking
+                            if (this.isActive() && !this.protectionCheckInProgress && !this.state.isPaused) {
                                 this.protectionCheckInProgress = true;
                                 await this.checkForDamage();
                                 this.protectionCheckInProgress = false;
@@ -1096,6 +1534,12 @@ function buildOverlayMain() {
                 }
 
                 async checkForDamage() {
+                    // Repairs wait for the run windows, like the rest of auto-fill
+                    if (this.getRunWindowWaitTime() > 0) {
+                        console.log("AUTOFILL: Skipping protection check - outside of the run windows");
+                        return;
+                    }
+
                     console.log("AUTOFILL: Checking template integrity... (protection mode:", this.state.mode, ")");
                     this.updateUI('🔍 Checking template integrity...');
 
@@ -1108,11 +1552,21 @@ function buildOverlayMain() {
                         return;
                     }
 
+                    // While filling, only the pixels that were painted correctly are protected, so unpainted pixels are not mistaken for grief
+                    const protectionOptions = { isProtection: true, isWhileFilling: this.state.mode !== 'PROTECTING' };
+
                     // Check for damaged/griefed pixels by getting all pixels that need to be placed
-                    const damageResult = await getNextPixels(0, ownedColors);
+                    const damageResult = await getNextPixels(0, ownedColors, protectionOptions);
                     if (damageResult.totalRemainingPixels > 0) {
                         console.log(`AUTOFILL: Found ${damageResult.totalRemainingPixels} pixels that need protection!`);
                         this.updateUI(`🚨 Template griefed! ${damageResult.totalRemainingPixels} pixels need fixing!`);
+                        notifier.notify('grief', `Template griefed! ${damageResult.totalRemainingPixels.toLocaleString()} pixels need fixing`);
+
+                        // Logs the damage. It stays unrepaired unless the repair below finishes
+                        const griefLogId = await griefLog.addEntry(
+                            damageResult.pixelsToPlace.map(pixel => [pixel.chunkX, pixel.chunkY, pixel.finalLogicalX, pixel.finalLogicalY, pixel.templateColorId, pixel.previousColorId]),
+                            damageResult.totalRemainingPixels
+                        );
 
                         // Set repair in progress flag IMMEDIATELY to prevent main loop interference
                         this.protectionRepairInProgress = true;
@@ -1134,10 +1588,11 @@ function buildOverlayMain() {
                                 // Recheck for damage after the delay - someone else might have fixed it
                                 console.log("AUTOFILL: Rechecking template integrity after protection delay...");
                                 this.updateUI('🔍 Rechecking template integrity after delay...');
-                                const recheckResult = await getNextPixels(0, ownedColors);
+                                const recheckResult = await getNextPixels(0, ownedColors, protectionOptions);
 
                                 if (recheckResult.totalRemainingPixels === 0) {
                                     console.log("AUTOFILL: Template was fixed by others during delay - no repair needed");
+                                    await griefLog.setOutcome(griefLogId, 'fixedByOthers');
                                     this.updateUI('✅ Template was fixed by others during delay - no action needed');
                                     return; // Exit early, no repair needed
                                 } else if (recheckResult.totalRemainingPixels < damageResult.totalRemainingPixels) {
@@ -1157,17 +1612,22 @@ function buildOverlayMain() {
                                 this.updateUI(`🔧 Fixing ${pixelsToFix} pixels with available charges...`);
 
                                 // Use existing architecture - get and place pixels
-                                const repairPixels = await this.getPixelsToPlace();
+                                const repairPixels = await this.getPixelsToPlace(this.getRemainingPixelBudget(), protectionOptions);
                                 if (repairPixels.totalRemainingPixels > 0) {
-                                    await this.placePixels(repairPixels.chunkGroups);
+                                    const repairedCount = await this.placePixels(repairPixels.chunkGroups);
 
-                                    console.log("AUTOFILL: Protection repair completed");
-                                    this.updateUI('✅ Protection repair completed');
+                                    // The damage stays unrepaired until every damaged pixel is placed. The next check repairs the rest
+                                    const isRepaired = repairedCount >= repairPixels.totalRemainingPixels;
+                                    console.log(`AUTOFILL: Protection repair placed ${repairedCount} of ${repairPixels.totalRemainingPixels} pixels`);
+                                    await griefLog.setOutcome(griefLogId, isRepaired ? 'repaired' : 'unrepaired', repairedCount);
+                                    this.updateUI(isRepaired ? '✅ Protection repair completed' : `🔧 Protection repair placed ${repairedCount} of ${repairPixels.totalRemainingPixels} pixels`);
 
                                     // Wait for ghost pixels to clear
                                     console.log("AUTOFILL: Waiting 10s for Ghost Pixels to clear");
                                     this.updateUI('⌚ Waiting 10s for Ghost Pixels to clear');
                                     await this.sleep(10000);
+                                } else {
+                                    await griefLog.setOutcome(griefLogId, 'fixedByOthers');
                                 }
                             } else {
                                 console.log("AUTOFILL: No charges available for immediate fixing");
@@ -1186,6 +1646,7 @@ function buildOverlayMain() {
 
                 complete() {
                     console.log("AUTOFILL: Template completed - checking protection mode setting");
+                    notifier.notify('complete', 'Template completed! All owned color pixels are placed');
                     this.state.isRunning = false;
                     updateProgressDisplay(0); // Show completion
 
@@ -1228,7 +1689,7 @@ function buildOverlayMain() {
                         await this.openPaintMenu();
                     }
 
-                    await this.executePixelPlacement(chunkCoords, pixels);
+                    return await this.executePixelPlacement(chunkCoords, pixels);
                 }
 
                 async openPaintMenu() {
@@ -1246,14 +1707,25 @@ function buildOverlayMain() {
                 }
 
                 async executePixelPlacement(chunkCoords, pixels) {
-                    const result = await placePixelsWithInterceptor(chunkCoords, pixels, 0);
-                    console.log("AUTOFILL: Pixel placement completed");
+                    const placement = await placePixelsWithInterceptor(chunkCoords, pixels, 0);
+                    console.log(`AUTOFILL: Pixel placement completed (${placement.outcome})`);
 
-                    // Mark pixels as placed
-                    pixels.forEach(([x, y]) => {
-                        const key = `${chunkCoords[0]},${chunkCoords[1]},${x},${y}`;
-                        // Could track placed pixels if needed
-                    });
+                    if (placement.outcome !== 'success') {return placement;}
+
+                    // Remembers the placed pixels, so they can be verified after the ghost pixel delay
+                    const placedAt = Date.now();
+                    placementHistory.push({ time: placedAt, count: pixels.length });
+                    for (const [x, y, colorId, previousColorId] of pixels) {
+                        placedPixels.set(`${chunkCoords[0]},${chunkCoords[1]},${x},${y}`, { colorId, previousColorId, placedAt });
+                    }
+
+                    // Remembers the last placed pixel for the "Nearest" placement strategy
+                    const [lastX, lastY] = pixels[pixels.length - 1] ?? [];
+                    if (lastX !== undefined) {
+                        lastPlacedPixel = { globalX: chunkCoords[0] * 1000 + lastX, globalY: chunkCoords[1] * 1000 + lastY };
+                    }
+
+                    return placement;
                 }
             }
 
@@ -1307,73 +1779,21 @@ function buildOverlayMain() {
 
             // ========== UTILITY FUNCTIONS ==========
             const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-            const placedPixels = new Set();
-            const colorMap = {
-                0: [0, 0, 0, 0],        // Transparent
-                1: [0, 0, 0, 255],      // Black
-                2: [60, 60, 60, 255],   // Dark Gray
-                3: [120, 120, 120, 255], // Gray
-                4: [210, 210, 210, 255], // Light Gray
-                5: [255, 255, 255, 255], // White
-                6: [96, 0, 24, 255],    // Deep Red
-                7: [237, 28, 36, 255],  // Red
-                8: [255, 127, 39, 255], // Orange
-                9: [246, 170, 9, 255],  // Gold
-                10: [249, 221, 59, 255], // Yellow
-                11: [255, 250, 188, 255], // Light Yellow
-                12: [14, 185, 104, 255], // Dark Green
-                13: [19, 230, 123, 255], // Green
-                14: [135, 255, 94, 255], // Light Green
-                15: [12, 129, 110, 255], // Dark Teal
-                16: [16, 174, 166, 255], // Teal
-                17: [19, 225, 190, 255], // Light Teal
-                18: [40, 80, 158, 255],  // Dark Blue
-                19: [64, 147, 228, 255], // Blue
-                20: [96, 247, 242, 255], // Cyan
-                21: [107, 80, 246, 255], // Indigo
-                22: [153, 177, 251, 255], // Light Indigo
-                23: [120, 12, 153, 255], // Dark Purple
-                24: [170, 56, 185, 255], // Purple
-                25: [224, 159, 249, 255], // Light Purple
-                26: [203, 0, 122, 255],  // Dark Pink
-                27: [236, 31, 128, 255], // Pink
-                28: [243, 141, 169, 255], // Light Pink
-                29: [104, 70, 52, 255],  // Dark Brown
-                30: [149, 104, 42, 255], // Brown
-                31: [248, 178, 119, 255], // Beige
-                32: [170, 170, 170, 255], // Medium Gray
-                33: [165, 14, 30, 255],  // Dark Red
-                34: [250, 128, 114, 255], // Light Red
-                35: [228, 92, 26, 255],  // Dark Orange
-                36: [214, 181, 148, 255], // Light Tan
-                37: [156, 132, 49, 255], // Dark Goldenrod
-                38: [197, 173, 49, 255], // Goldenrod
-                39: [232, 212, 95, 255], // Light Goldenrod
-                40: [74, 107, 58, 255],  // Dark Olive
-                41: [90, 148, 74, 255],  // Olive
-                42: [132, 197, 115, 255], // Light Olive
-                43: [15, 121, 159, 255], // Dark Cyan
-                44: [187, 250, 242, 255], // Light Cyan
-                45: [125, 199, 255, 255], // Light Blue
-                46: [77, 49, 184, 255],  // Dark Indigo
-                47: [74, 66, 132, 255],  // Dark Slate Blue
-                48: [122, 113, 196, 255], // Slate Blue
-                49: [181, 174, 241, 255], // Light Slate Blue
-                50: [219, 164, 99, 255], // Light Brown
-                51: [209, 128, 81, 255], // Dark Beige
-                52: [255, 197, 165, 255], // Light Beige
-                53: [155, 82, 73, 255],  // Dark Peach
-                54: [209, 128, 120, 255], // Peach
-                55: [250, 182, 164, 255], // Light Peach
-                56: [123, 99, 82, 255],  // Dark Tan
-                57: [156, 132, 107, 255], // Tan
-                58: [51, 57, 65, 255],   // Dark Slate
-                59: [109, 117, 141, 255], // Slate
-                60: [179, 185, 209, 255], // Light Slate
-                61: [109, 100, 63, 255], // Dark Stone
-                62: [148, 140, 107, 255], // Stone
-                63: [205, 197, 158, 255]  // Light Stone
-            };
+            const ghostPixelDelay = 10000; // How long placed pixels can take to show up on the tiles (ms)
+            const maxPixelRetries = 3; // How many times a pixel that failed verification is placed again
+            const placedPixels = new Map(); // Placed pixels waiting to be verified. The key is "chunkX,chunkY,x,y"
+            const pixelRetries = new Map(); // How many times each pixel failed verification
+            const abandonedPixels = new Set(); // Pixels that failed verification too many times. They are not placed again until auto-fill restarts
+            const completedPixels = new Set(); // Protected pixels that were seen painted correctly. Protection while filling only repairs these
+            const verificationCounts = { confirmed: 0, rejected: 0, overwritten: 0 }; // Verification results since auto-fill started
+            const placementRetryDelay = 5000; // The first delay before placing pixels again after a rate limit or server error (ms)
+            const maxPlacementRetryDelay = 120000; // The longest delay before placing pixels again (ms)
+            const maxPlacementRetries = 5; // How many times pixels are placed again after a rate limit or server error
+            const failureAlertThreshold = 3; // How many placements in a row can fail before the user is alerted
+            const placementHistory = []; // When pixels were placed this session, and how many. Used to chart the placement rate
+            const fullScanInterval = 300000; // How often a scan counts every pixel, even when it could stop early (ms)
+            let lastFullScan = null; // The remaining pixel counts of the last scan that counted every pixel, and the pixels placed this session when it ran
+            let lastPlacedPixel = null; // The last pixel that was placed, in global coordinates
 
             // Helper function to format seconds as hh:mm:ss
             const formatTime = (seconds) => {
@@ -1400,20 +1820,83 @@ function buildOverlayMain() {
             };
 
             // Helper function to update progress display textarea
-            const updateProgressDisplay = (remainingPixels) => {
+            const updateProgressDisplay = (remainingPixels, templateRemainingPixels = [], blockedPixels = {}) => {
                 const textarea = document.querySelector('#bm-progress-display');
-                const estimatedTimeSeconds = remainingPixels * 30
+                const charges = instance.apiManager?.charges;
                 if (textarea) {
                     let content = `Remaining Pixels: ${remainingPixels.toLocaleString()}`;
 
-                    if (estimatedTimeSeconds !== null && estimatedTimeSeconds > 0) {
-                        content += `\nEstimated Time: ${formatTime(estimatedTimeSeconds)}`;
+                    // Forecasts the completion from the charges, and the charge limit that auto-fill waits for
+                    if (charges && remainingPixels > 0) {
+                        const chargeLimit = parseInt(document.querySelector('#bm-input-charge-limit')?.value) || null;
+                        const forecast = forecastCompletion(remainingPixels, charges, chargeLimit);
+                        const isToday = forecast.completesAt.toDateString() === new Date().toDateString();
+
+                        content += `\nBatches Remaining: ${forecast.batchesRemaining.toLocaleString()}`;
+                        content += `\nEstimated Time: ${formatTime(forecast.secondsRemaining)}`;
+                        content += `\nEstimated Completion: ${isToday ? forecast.completesAt.toLocaleTimeString() : forecast.completesAt.toLocaleString()}`;
                     } else {
                         content += '\nEstimated Time: N/A';
                     }
 
+                    // Shows the placement rate observed this session
+                    const placedThisSession = getPixelsPlacedThisSession();
+                    if (placedThisSession) {
+                        const sessionHours = Math.max(Date.now() - placementHistory[0].time, 60000) / 3600000;
+                        content += `\nObserved Rate: ${Math.round(placedThisSession / sessionHours).toLocaleString()} pixels/hour (${placedThisSession.toLocaleString()} placed)`;
+                    }
+
+                    const pixelBudget = settingsManager.get('sessionPixelBudget');
+                    if (pixelBudget) {
+                        content += `\nSession Budget: ${placedThisSession.toLocaleString()}/${pixelBudget.toLocaleString()} pixels`;
+                    }
+
+                    // Show the remaining pixels of each template when more than one template is being filled
+                    if (templateRemainingPixels.length > 1) {
+                        for (const { name, remaining } of templateRemainingPixels) {
+                            content += `\n  ${name}: ${remaining.toLocaleString()}`;
+                        }
+                    }
+
+                    // Show the pixels that auto-fill will not place
+                    if (blockedPixels.excluded) {
+                        content += `\nExcluded Colors: ${blockedPixels.excluded.toLocaleString()}`;
+                    }
+                    if (blockedPixels.unowned) {
+                        content += `\nBlocked by Unowned Colors: ${blockedPixels.unowned.toLocaleString()}`;
+                    }
+
                     textarea.value = content;
                 }
+
+                updatePlacementRateChart();
+            };
+
+            // Returns how many pixels were placed since auto-fill started
+            const getPixelsPlacedThisSession = () => placementHistory.reduce((sum, { count }) => sum + count, 0);
+
+            // Charts the pixels placed this session, as bars over time
+            const updatePlacementRateChart = () => {
+                const canvas = document.querySelector('#bm-canvas-rate-chart');
+                if (!canvas) {return;}
+
+                const context = canvas.getContext('2d');
+                context.clearRect(0, 0, canvas.width, canvas.height);
+
+                canvas.parentElement.style.display = placementHistory.length ? '' : 'none'; // Hides the chart until pixels are placed
+                if (!placementHistory.length) {return;}
+
+                const { buckets, bucketDuration } = getPlacementRateBuckets(placementHistory, canvas.width / 10);
+                const mostPlaced = Math.max(...buckets, 1);
+                const barWidth = canvas.width / buckets.length;
+
+                context.fillStyle = '#2f6fe4';
+                buckets.forEach((placed, index) => {
+                    const barHeight = (placed / mostPlaced) * canvas.height;
+                    context.fillRect(index * barWidth + 1, canvas.height - barHeight, barWidth - 2, barHeight);
+                });
+
+                canvas.title = `Pixels placed every ${bucketDuration / 60000} minute(s) this session. Most in one bar: ${mostPlaced.toLocaleString()}`;
             };
 
             // Helper function to wait for an element to be available and optionally enabled
@@ -1468,57 +1951,6 @@ function buildOverlayMain() {
             };
 
 
-            /**
-            * Decodes the extraColorsBitmap decimal value to determine which colors are owned.
-            * Handles both the original positive integer format and the new format that uses
-            * a negative number as a bitmask for colors 32-63.
-            * @param {number} extraColorsBitmap - The decimal representation for colors 32-63.
-            * @returns {number[]} Array of color IDs that are owned.
-            */
-            function getOwnedColorsFromBitmap(extraColorsBitmap) {
-                const ownedColors = new Set();
-
-                for (let i = 0; i < 32; i++) {
-                    ownedColors.add(i);
-                }
-
-
-                if (extraColorsBitmap) {
-                    if (extraColorsBitmap < 0) extraColorsBitmap = extraColorsBitmap >>> 0;
-
-                    for (let i = 0; i < 32; i++) {
-                        if ((extraColorsBitmap & (1 << i)) !== 0) {
-                            ownedColors.add(i + 32);
-                        }
-                    }
-                }
-
-                return Array.from(ownedColors).sort((a, b) => a - b);
-            }
-
-            // Function to find closest color ID from RGB values
-            const getColorIdFromRGB = (r, g, b, a) => {
-                if (a === 0) return 0; // Transparent
-
-                // Check for special #deface color (222, 250, 206) - place transparent pixels
-                if (r === 222 && g === 250 && b === 206) {
-                    return 0; // Return transparent
-                }
-
-                let minDistance = Infinity;
-                let closestColorId = 1; // Default to black
-
-                for (const [colorId, [cr, cg, cb]] of Object.entries(colorMap)) {
-                    if (colorId === '0') continue; // Skip transparent
-                    const distance = Math.sqrt((r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        closestColorId = parseInt(colorId);
-                    }
-                }
-                return closestColorId;
-            };
-
             // Function to fetch current chunk data from the website
             const fetchChunkData = async (chunkX, chunkY) => {
                 try {
@@ -1535,19 +1967,147 @@ function buildOverlayMain() {
                 }
             };
 
-            const getNextPixels = async (count, ownedColors = []) => {
+            // Checks that placed pixels show up on the tiles once the ghost pixel delay is over.
+            // Each pixel is confirmed, rejected (the old color is still there), or overwritten (a different color is there).
+            // Pixels that are not confirmed are placed again by the next cycle, until they fail too many times.
+            // Only one verification runs at a time. The protection check and the main loop share it, so pixels are not counted twice
+            let verificationInProgress = null;
+            const verifyPlacedPixels = () => {
+                verificationInProgress ??= verifyDuePixels().finally(() => {
+                    verificationInProgress = null;
+                });
+                return verificationInProgress;
+            };
+
+            const verifyDuePixels = async () => {
+                const now = Date.now();
+                const duePixels = [...placedPixels].filter(([, placed]) => now - placed.placedAt >= ghostPixelDelay);
+                if (!duePixels.length) return;
+
+                // Groups the pixels by chunk, so each chunk is only fetched once
+                const pixelsByChunk = new Map();
+                for (const [pixelKey, placed] of duePixels) {
+                    const [chunkX, chunkY, x, y] = pixelKey.split(',').map(Number);
+                    const chunkKey = `${chunkX},${chunkY}`;
+                    if (!pixelsByChunk.has(chunkKey)) pixelsByChunk.set(chunkKey, []);
+                    pixelsByChunk.get(chunkKey).push({ pixelKey, x, y, ...placed });
+                }
+
+                const counts = { confirmed: 0, rejected: 0, overwritten: 0 };
+                for (const [chunkKey, pixels] of pixelsByChunk) {
+                    const chunk = await fetchChunkData(...chunkKey.split(',').map(Number));
+                    let chunkData = null;
+                    if (chunk) {
+                        const canvas = new OffscreenCanvas(chunk.width, chunk.height);
+                        const context = canvas.getContext('2d');
+                        context.drawImage(chunk, 0, 0);
+                        chunkData = context.getImageData(0, 0, chunk.width, chunk.height);
+                    }
+
+                    for (const { pixelKey, x, y, colorId, previousColorId } of pixels) {
+                        let foundColorId = 0; // Missing tiles are transparent
+                        if (chunkData && x < chunkData.width && y < chunkData.height) {
+                            const index = (y * chunkData.width + x) * 4;
+                            foundColorId = getColorIdFromRGB(...chunkData.data.slice(index, index + 4));
+                        }
+
+                        placedPixels.delete(pixelKey);
+
+                        if (foundColorId === colorId) {
+                            counts.confirmed++;
+                            pixelRetries.delete(pixelKey);
+                            completedPixels.add(pixelKey);
+                            continue;
+                        }
+
+                        counts[foundColorId === previousColorId ? 'rejected' : 'overwritten']++;
+
+                        // Fails the pixel for good after too many retries
+                        const retries = (pixelRetries.get(pixelKey) || 0) + 1;
+                        pixelRetries.set(pixelKey, retries);
+                        if (retries > maxPixelRetries) {
+                            abandonedPixels.add(pixelKey);
+                            console.warn(`AUTOFILL: Giving up on pixel ${pixelKey} after ${maxPixelRetries} retries`);
+                        }
+                    }
+                }
+
+                for (const result of Object.keys(counts)) {
+                    verificationCounts[result] += counts[result];
+                }
+
+                console.log(`AUTOFILL: Verified ${duePixels.length} pixels:`, counts);
+                if (counts.rejected || counts.overwritten) {
+                    updateAutoFillOutput(`🔍 Verified ${duePixels.length} pixels: ${counts.confirmed} confirmed, ${counts.rejected} rejected, ${counts.overwritten} overwritten. Failed pixels will be placed again`);
+                }
+            };
+
+            // The result of getNextPixels() when there is nothing to scan
+            const getEmptyPixelResult = () => ({
+                chunkGroups: [],
+                totalRemainingPixels: 0,
+                pixelsToPlace: [],
+                totalPixels: 0,
+                templateRemainingPixels: [],
+                blockedPixels: { excluded: 0, unowned: 0 }
+            });
+
+            // Finds the pixels that need placement. When protecting, only the protected parts of the templates are checked.
+            // When protecting while filling, only the protected rectangles and mask zones are checked, and only their completed pixels
+            const getNextPixels = async (count, ownedColors = [], { isProtection = false, isWhileFilling = false } = {}) => {
+                await verifyPlacedPixels(); // Verified pixels that failed are found again below
+
                 const chunkGroups = {}; // Store pixels grouped by chunk
-                if (!instance.apiManager?.templateManager?.templatesArray?.length) return [];
+                const enabledTemplates = instance.apiManager?.templateManager?.getEnabledTemplates() || [];
+                if (!enabledTemplates.length) return getEmptyPixelResult();
+
+                // Sort by priority. The template drawn on top (highest sortID) claims overlapping pixels first
+                enabledTemplates.sort((a, b) => b.sortID - a.sortID);
+
+                // Collect the tiles of every enabled template in priority order
+                const templateTiles = [];
+                const remainingByTemplate = new Map(); // Remaining pixel count per template
+                const templatesByKey = new Map(); // Template instance per template key, for mask lookups
+                for (const template of enabledTemplates) {
+                    if (!template.chunked) {
+                        instance.handleDisplayError(`Template "${template.displayName}" has no pixel data (chunked property is missing).`);
+                        continue;
+                    }
 
-                const template = instance.apiManager.templateManager.templatesArray[0];
-                const chunkedBitmaps = template.chunked;
-                if (!chunkedBitmaps) {
-                    instance.handleDisplayError("Template has no pixel data (chunked property is missing).");
-                    return [];
+                    const templateKey = instance.apiManager.templateManager.getTemplateKey(template);
+                    remainingByTemplate.set(templateKey, { name: template.displayName, remaining: 0 });
+                    templatesByKey.set(templateKey, template);
+
+                    // Protection only claims the pixels of the tiles outside of the protected part, so they are not fetched.
+                    // The claims still stop lower templates from painting over them
+                    const protectedBounds = isProtection ? template.getProtectedBounds() : null;
+                    const isTemplateClaimOnly = isProtection && (template.protection == 'none' || (isWhileFilling && !protectedBounds)); // While filling, the whole template is only protected once it is complete
+
+                    // Sort the tile keys to ensure consistent processing order
+                    for (const key of Object.keys(template.chunked).sort()) {
+                        const bitmap = template.chunked[key];
+                        let isClaimOnly = isTemplateClaimOnly;
+                        if (!isClaimOnly && protectedBounds && bitmap) {
+                            const [tileX, tileY, tilePixelX, tilePixelY] = key.split(',').map(Number);
+                            const { drawMult } = instance.apiManager.templateManager; // Template tiles are drawMult times larger than the pixels they cover
+                            const minX = tileX * template.tileSize + tilePixelX;
+                            const minY = tileY * template.tileSize + tilePixelY;
+                            const maxX = minX + bitmap.width / drawMult - 1;
+                            const maxY = minY + bitmap.height / drawMult - 1;
+                            isClaimOnly = maxX < protectedBounds.minX || maxY < protectedBounds.minY || minX > protectedBounds.maxX || minY > protectedBounds.maxY;
+                        }
+
+                        templateTiles.push({ templateKey, key, bitmap, isClaimOnly });
+                    }
                 }
 
+                if (!templateTiles.some(({ isClaimOnly }) => !isClaimOnly)) return getEmptyPixelResult();
+
                 // Convert ownedColors array to Set for faster lookup
                 const ownedColorsSet = new Set(ownedColors);
+                const excludedColorsSet = new Set(excludedColors); // Copied, so the filter can't change while scanning
+                let excludedPixelCount = 0; // Pixels that need placement, but have an excluded color
+                let unownedPixelCount = 0; // Pixels that need placement, but have a color we don't own
 
                 // OPTIMIZATION 10: Cache color distance calculations for RGB->ColorID conversion
                 const colorDistanceCache = new Map();
@@ -1563,40 +2123,25 @@ function buildOverlayMain() {
                     if (colorDistanceCache.has(key)) {
                         return colorDistanceCache.get(key);
                     }
-                    
-                    let minDistanceSquared = Infinity; // Use squared distance to avoid sqrt
-                    let closestColorId = 1; // Default to black
-
-                    for (const [colorId, [cr, cg, cb]] of Object.entries(colorMap)) {
-                        if (colorId === '0') continue; // Skip transparent
-                        // Use squared distance to avoid expensive sqrt operation
-                        const distanceSquared = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
-                        if (distanceSquared < minDistanceSquared) {
-                            minDistanceSquared = distanceSquared;
-                            closestColorId = parseInt(colorId);
-                        }
-                    }
-                    
+
+                    const closestColorId = getColorIdFromRGB(r, g, b, a);
                     colorDistanceCache.set(key, closestColorId);
                     return closestColorId;
                 };
 
-                // Sort the chunk keys to ensure consistent processing order
-                const sortedChunkKeys = Object.keys(chunkedBitmaps).sort();
-
                 // OPTIMIZATION 1: Cache for both fetched chunks and processed coordinate data
                 const chunkCache = new Map();
                 const coordCache = new Map(); // Cache parsed coordinates to avoid repeated string splitting
                 const imageDataCache = new Map(); // Cache processed ImageData objects
 
                 // Pre-parse all coordinates for better performance
-                sortedChunkKeys.forEach(key => {
+                templateTiles.forEach(({ key }) => {
                     if (!coordCache.has(key)) {
                         coordCache.set(key, key.split(',').map(Number));
                     }
                 });
 
-                // Collect ALL pixels that exist in the template (for edge detection)
+                // Collect ALL pixels that exist in the templates (for edge detection, and to resolve overlapping templates)
                 const allTemplatePixels = new Set();
                 // Collect ALL pixels that need placement
                 const allPixelsToPlace = [];
@@ -1611,7 +2156,8 @@ function buildOverlayMain() {
 
                 // OPTIMIZATION 2: Parallel chunk fetching - identify unique chunks first
                 const uniqueChunks = new Set();
-                for (const key of sortedChunkKeys) {
+                for (const { key, isClaimOnly } of templateTiles) {
+                    if (isClaimOnly) continue; // Tiles that only claim pixels don't need the canvas
                     const parts = coordCache.get(key);
                     const [chunkX, chunkY] = parts;
                     const chunkKey = `${chunkX},${chunkY}`;
@@ -1629,29 +2175,36 @@ function buildOverlayMain() {
                     chunkCache.set(chunkKey, currentChunk);
                 });
 
-                // Get current mode early for potential early termination
+                // Get current placement strategy early for potential early termination
                 const modeBtn = document.querySelector('#bm-button-mode');
-                const currentMode = modeBtn ? modeBtn.textContent.replace('Mode: ', '') : 'Random';
-                const canEarlyTerminate = currentMode !== 'Scan'; // Can't early terminate in scan mode due to sorting requirements
+                const placementStrategy = getPlacementStrategy(modeBtn ? modeBtn.textContent.replace('Mode: ', '') : 'Random');
+                const colorFillOrder = getColorFillOrder(); // The order colors are filled in, or null if all colors are filled at once
+                // Can't early terminate when the order depends on every pixel, or when every pixel is wanted (a count of 0, used by damage checks).
+                // Filling scans every pixel once in a while, so the progress display and forecast are counted from all remaining pixels
+                const isFullScanDue = !isProtection && (!lastFullScan || Date.now() - lastFullScan.time >= fullScanInterval);
+                const canEarlyTerminate = count > 0 && !isFullScanDue && placementStrategy.isOrderless && !colorFillOrder;
+                let isFullScan = true; // Did the scan count every pixel?
 
                 // OPTIMIZATION 17: Smart sampling for very large templates
-                const templateSize = sortedChunkKeys.length;
+                const templateSize = templateTiles.length;
                 const isLargeTemplate = templateSize > 50; // Consider 50+ chunks as large
                 const targetSampleSize = Math.min(count * 3, 10000); // Adaptive sampling based on need
                 const shouldSample = isLargeTemplate && canEarlyTerminate && count < 1000;
                 let processedChunks = 0;
 
                 // Process pixels with smart sampling for large templates
-                outerLoop: for (const key of sortedChunkKeys) {
-                    const bitmap = chunkedBitmaps[key];
+                outerLoop: for (const { templateKey, key, bitmap, isClaimOnly } of templateTiles) {
                     if (!bitmap) continue;
 
+                    const tileTemplate = templatesByKey.get(templateKey);
+
                     // OPTIMIZATION 18: Skip chunks intelligently for large templates
-                    if (shouldSample) {
+                    if (shouldSample && !isClaimOnly) {
                         processedChunks++;
                         // Process every nth chunk based on template size and requirements
                         const skipInterval = Math.max(1, Math.floor(templateSize / (targetSampleSize / 100)));
                         if (processedChunks % skipInterval !== 0 && allPixelsToPlace.length > count) {
+                            isFullScan = false;
                             continue; // Skip this chunk if we already have enough pixels
                         }
                     }
@@ -1667,15 +2220,17 @@ function buildOverlayMain() {
                     const currentChunk = chunkCache.get(chunkKey);
 
                     // OPTIMIZATION 4: Cache processed ImageData to avoid repeated getImageData calls
+                    // Tile keys are only unique per template, so the template key is part of the cache key
+                    const templateImageDataCacheKey = `${templateKey}|${key}`;
                     let templateImageData;
-                    if (!imageDataCache.has(key)) {
+                    if (!imageDataCache.has(templateImageDataCacheKey)) {
                         const templateCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
                         const templateCtx = templateCanvas.getContext('2d');
                         templateCtx.drawImage(bitmap, 0, 0);
                         templateImageData = templateCtx.getImageData(0, 0, bitmap.width, bitmap.height);
-                        imageDataCache.set(key, templateImageData);
+                        imageDataCache.set(templateImageDataCacheKey, templateImageData);
                     } else {
-                        templateImageData = imageDataCache.get(key);
+                        templateImageData = imageDataCache.get(templateImageDataCacheKey);
                     }
 
                     // Create canvas for current chunk data if it exists (cache by chunkKey)
@@ -1738,17 +2293,37 @@ function buildOverlayMain() {
                             
                             const pixelKey = `${chunkX},${chunkY},${finalLogicalX},${finalLogicalY}`;
 
+                            // Skip pixels already claimed by a template with a higher priority
+                            if (allTemplatePixels.has(pixelKey)) {
+                                continue;
+                            }
+
                             // Add ALL template pixels to our comprehensive set (for edge detection)
                             allTemplatePixels.add(pixelKey);
 
-                            // Skip pixels with colors we don't own
-                            if (ownedColors.length > 0 && !ownedColorsSet.has(templateColorId)) {
-                                // console.log(`🔒 SKIPPING pixel at (${absX}, ${absY}) - Color ${templateColorId} not owned`);
+                            // The pixel is claimed, so lower templates don't paint over it, but it is not protected
+                            if (isClaimOnly) {
+                                continue;
+                            }
+
+                            // Pixels in a "never paint" zone of the template mask are not placed or counted
+                            const zone = tileTemplate.getZone(globalX, globalY);
+                            if (zone == 'never') {
                                 continue;
                             }
 
+                            // Protection only watches the protected part of the template
+                            if (isProtection && !tileTemplate.isProtected(globalX, globalY)) {
+                                continue;
+                            }
+
+                            // Pixels with colors we excluded or don't own are counted, but not placed
+                            const isExcluded = excludedColorsSet.has(templateColorId);
+                            const isUnowned = ownedColors.length > 0 && !ownedColorsSet.has(templateColorId);
+
                             // Check if pixel is already placed correctly with optimized bounds checking
                             let needsPlacement = true;
+                            let previousColorId = 0; // The color that is on the canvas now. Transparent if the tile is empty
                             if (currentData && finalLogicalX >= 0 && finalLogicalX < currentWidth && 
                                 finalLogicalY >= 0 && finalLogicalY < currentHeight) {
                                 // OPTIMIZATION 8: Direct index calculation for current pixel
@@ -1758,6 +2333,7 @@ function buildOverlayMain() {
                                 const currentB = currentData[currentPixelIndex + 2];
                                 const currentAlpha = currentData[currentPixelIndex + 3];
                                 const currentColorId = getColorIdFromRGBCached(currentR, currentG, currentB, currentAlpha);
+                                previousColorId = currentColorId;
 
                                 // If the current pixel already matches the template color, skip it
                                 if (currentColorId === templateColorId) {
@@ -1765,8 +2341,29 @@ function buildOverlayMain() {
                                 }
                             }
 
-                            // Add pixels that need placement to our collection
-                            if (needsPlacement && !placedPixels.has(pixelKey)) {
+                            if (isProtection && !needsPlacement) {
+                                completedPixels.add(pixelKey);
+                            }
+
+                            // While filling, the pixels that were never painted correctly are left to auto-fill
+                            if (isWhileFilling && !completedPixels.has(pixelKey)) {
+                                continue;
+                            }
+
+                            // Count pixels that need placement, but can't be placed
+                            if (needsPlacement && (isExcluded || isUnowned)) {
+                                if (isExcluded) {
+                                    excludedPixelCount++;
+                                } else {
+                                    // console.log(`🔒 SKIPPING pixel at (${absX}, ${absY}) - Color ${templateColorId} not owned`);
+                                    unownedPixelCount++;
+                                }
+                                continue;
+                            }
+
+                            // Add pixels that need placement to our collection.
+                            // Pixels waiting to be verified, and pixels that failed too many times, are skipped
+                            if (needsPlacement && !placedPixels.has(pixelKey) && !abandonedPixels.has(pixelKey)) {
                                 // OPTIMIZATION 13: Pre-allocate pixel object with global coordinates for later use
                                 allPixelsToPlace.push({
                                     chunkX,
@@ -1774,14 +2371,19 @@ function buildOverlayMain() {
                                     finalLogicalX,
                                     finalLogicalY,
                                     templateColorId,
+                                    previousColorId,
                                     pixelKey,
+                                    templateKey,
+                                    zone,
                                     globalX, // Pre-computed for edge detection
                                     globalY  // Pre-computed for edge detection
                                 });
+                                remainingByTemplate.get(templateKey).remaining++;
 
                                 // OPTIMIZATION 9: Early termination for non-scan modes when we have enough pixels
                                 if (canEarlyTerminate && allPixelsToPlace.length >= count * 2) {
                                     console.log(`AUTOFILL: Early termination - found ${allPixelsToPlace.length} pixels (target: ${count})`);
+                                    isFullScan = false;
                                     break outerLoop;
                                 }
                             }
@@ -1876,38 +2478,27 @@ function buildOverlayMain() {
                     }
                 }
 
-                // Sort pixels based on selected mode
-                let prioritizedPixels = [];
-
-                if (currentMode === 'Scan') {
-                    // OPTIMIZATION 16: Use pre-computed global coordinates for sorting
-                    const sortedEdgePixels = edgePixels.sort((a, b) => {
-                        if (a.globalY !== b.globalY) return a.globalY - b.globalY;
-                        return a.globalX - b.globalX;
-                    });
-                    const sortedNonEdgePixels = nonEdgePixels.sort((a, b) => {
-                        if (a.globalY !== b.globalY) return a.globalY - b.globalY;
-                        return a.globalX - b.globalX;
-                    });
-
-                    // Edge pixels first, then non-edge pixels
-                    prioritizedPixels = [...sortedEdgePixels, ...sortedNonEdgePixels];
-                    console.log(`AUTOFILL: 📏 Scan mode: ${edgePixels.length} edge pixels first, then ${nonEdgePixels.length} non-edge pixels (both in scanline order)`);
-                } else { // Random mode
-                    // Shuffle both arrays randomly
-                    const shuffleArray = (array) => {
-                        const shuffled = [...array];
-                        for (let i = shuffled.length - 1; i > 0; i--) {
-                            const j = Math.floor(Math.random() * (i + 1));
-                            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-                        }
-                        return shuffled;
-                    };
+                // Sort pixels based on selected placement strategy. Edge pixels first, then non-edge pixels
+                const placementContext = { lastPlacedPixel };
+                const prioritizedPixels = [
+                    ...placementStrategy.order(edgePixels, placementContext),
+                    ...placementStrategy.order(nonEdgePixels, placementContext)
+                ];
+                console.log(`AUTOFILL: ${placementStrategy.name} mode: ${edgePixels.length} edge pixels first, then ${nonEdgePixels.length} non-edge pixels`);
 
-                    prioritizedPixels = [...shuffleArray(edgePixels), ...shuffleArray(nonEdgePixels)];
-                    console.log(`AUTOFILL: 🎲 Random mode: ${edgePixels.length} edge pixels first (randomized), then ${nonEdgePixels.length} inner pixels (randomized)`);
+                // Finishes one color before the next. The sort is stable, so the placement strategy order is kept for each color
+                if (colorFillOrder) {
+                    const colorRanks = new Map(colorFillOrder.map((colorId, rank) => [colorId, rank]));
+                    const getColorRank = pixel => colorRanks.get(pixel.templateColorId) ?? colorFillOrder.length;
+                    prioritizedPixels.sort((a, b) => getColorRank(a) - getColorRank(b));
+                    console.log(`AUTOFILL: 🖍️ Color-by-color: filling color ${prioritizedPixels[0]?.templateColorId} first`);
                 }
 
+                // "Paint first" zones of template masks come before everything else, and "paint last" zones after. The sort is stable
+                const zoneRanks = { 'first': 0, 'last': 2 };
+                const getZoneRank = pixel => zoneRanks[pixel.zone] ?? 1;
+                prioritizedPixels.sort((a, b) => getZoneRank(a) - getZoneRank(b));
+
                 // Group pixels by chunk and apply count limit
                 let totalPixelsAdded = 0;
                 for (const pixel of prioritizedPixels) {
@@ -1920,11 +2511,17 @@ function buildOverlayMain() {
                             pixels: []
                         };
                     }
-                    chunkGroups[chunkKey].pixels.push([pixel.finalLogicalX, pixel.finalLogicalY, pixel.templateColorId]);
+                    chunkGroups[chunkKey].pixels.push([pixel.finalLogicalX, pixel.finalLogicalY, pixel.templateColorId, pixel.previousColorId]); // The previous color is not sent. It is used to verify the placement
                     totalPixelsAdded++;
                 }
 
 
+                const templateRemainingPixels = Array.from(remainingByTemplate.values());
+                const blockedPixels = { excluded: excludedPixelCount, unowned: unownedPixelCount };
+                if (isFullScan && !isProtection) {
+                    lastFullScan = { time: Date.now(), placedCount: getPixelsPlacedThisSession(), totalRemainingPixels: allPixelsToPlace.length, templateRemainingPixels, blockedPixels };
+                }
+
                 console.log(`AUTOFILL: \n📊 SUMMARY: Found ${allPixelsToPlace.length} total pixels that need placement (filtered by ${ownedColors.length} owned colors), returning ${totalPixelsAdded} pixels (${edgePixels.length} edge priority)`);
 
                 // Return both the chunk groups and the total remaining pixels count
@@ -1932,7 +2529,10 @@ function buildOverlayMain() {
                     // Convert chunk groups to the desired format
                     chunkGroups: Object.values(chunkGroups).map(group => [group.chunkCoords, group.pixels]),
                     totalRemainingPixels: allPixelsToPlace.length,
-                    totalPixels: allTemplatePixels.size
+                    pixelsToPlace: allPixelsToPlace, // Every pixel that needs placement, not just the returned ones
+                    totalPixels: allTemplatePixels.size,
+                    templateRemainingPixels,
+                    blockedPixels
                 };
             };
 
@@ -1991,8 +2591,39 @@ function buildOverlayMain() {
                 });
             };
 
+            // Sorts a pixel placement response into an outcome that auto-fill knows how to recover from.
+            // The outcome is 'success', 'rateLimited', 'unauthorized', 'forbiddenColor', 'outOfCharges', 'serverError', or 'malformed'
+            const classifyPlacementResponse = async (response) => {
+                let body = '';
+                try {
+                    body = (await response.clone().text()).toLowerCase();
+                } catch (error) {
+                    console.warn('AUTOFILL: Could not read the pixel placement response', error);
+                }
+
+                // The status decides the outcome. The body only tells a color that is not owned apart from other rejections
+                const isAboutColor = body.includes('color');
+
+                if (response.ok) {
+                    return { outcome: 'success', message: 'Pixels placed' };
+                } else if (response.status === 429) {
+                    return { outcome: 'rateLimited', message: 'Rate limited' };
+                } else if (response.status >= 500) {
+                    return { outcome: 'serverError', message: `Server error (${response.status})` };
+                } else if (response.status === 401) {
+                    return { outcome: 'unauthorized', message: `Logged out (${response.status})` };
+                } else if (response.status === 402) {
+                    return { outcome: 'outOfCharges', message: 'Out of charges' };
+                } else if (isAboutColor && (response.status === 400 || response.status === 403)) {
+                    return { outcome: 'forbiddenColor', message: 'A color is not owned' };
+                } else if (response.status === 403) {
+                    return { outcome: 'unauthorized', message: `Not allowed to paint (${response.status})` };
+                }
+                return { outcome: 'malformed', message: `Pixel placement was rejected (${response.status})` };
+            };
+
             const placePixelsWithInterceptor = async (chunkCoords, pixels, retryCount = 0) => {
-                if (!pixels || pixels.length === 0) return;
+                if (!pixels || pixels.length === 0) return { outcome: 'success', message: 'No pixels to place' };
                 const [chunkX, chunkY] = chunkCoords;
 
                 const requestBodyBuilder = (originalBody, token, url) => {
@@ -2088,22 +2719,25 @@ function buildOverlayMain() {
                     finalButtonResult.element.click();
                 };
 
-                try {
-                    const result = await interceptFetchRequest(requestBodyBuilder, triggerAction, "AUTOFILL");
+                const result = await interceptFetchRequest(requestBodyBuilder, triggerAction, "AUTOFILL");
+                const placement = await classifyPlacementResponse(result);
+                console.log(`AUTOFILL: Placement on chunk ${chunkX},${chunkY} returned ${result.status} (${placement.outcome})`);
 
-                    // Check for rate limiting (429 status code)
-                    if (result.status === 429) {
-                        console.log(`AUTOFILL: Rate limited (429) on chunk ${chunkX},${chunkY}. Waiting 30s before retry...`);
-                        updateAutoFillOutput(`⏰ Rate limited! Waiting 30s before retry (attempt ${retryCount + 1})...`);
-                        await new Promise(resolve => setTimeout(resolve, 30000));
-                        updateAutoFillOutput(`🔄 Retrying pixel placement for chunk ${chunkX},${chunkY}...`);
-                        return await placePixelsWithInterceptor(chunkCoords, pixels, retryCount + 1);
+                // Rate limits and server errors are retried with exponential backoff
+                if (placement.outcome === 'rateLimited' || placement.outcome === 'serverError') {
+                    if (retryCount >= maxPlacementRetries) {
+                        placement.message += ` after ${maxPlacementRetries} retries`;
+                        return placement;
                     }
 
-                    return result;
-                } catch (error) {
-                    throw error;
+                    const delay = Math.min(placementRetryDelay * 2 ** retryCount, maxPlacementRetryDelay);
+                    updateAutoFillOutput(`⏰ ${placement.message}! Waiting ${formatTime(delay / 1000)} before retry (attempt ${retryCount + 1}/${maxPlacementRetries})...`);
+                    await sleep(delay);
+                    updateAutoFillOutput(`🔄 Retrying pixel placement for chunk ${chunkX},${chunkY}...`);
+                    return await placePixelsWithInterceptor(chunkCoords, pixels, retryCount + 1);
                 }
+
+                return placement;
             };
 
             // ========== MAIN IMPLEMENTATION ==========
@@ -2112,20 +2746,42 @@ function buildOverlayMain() {
             // Store reference to manager in button for other components to access
             button.autoFillManager = autoFillManager;
 
+            autoFillManager.resumeSession(); // Resumes auto-fill if it was running before the page reloaded
+
+            // Pauses auto-fill when the user starts painting by hand. Clicks made by auto-fill are not trusted events
+            document.addEventListener('click', (event) => {
+                if (!event.isTrusted || !autoFillManager.state.isRunning || autoFillManager.state.isPaused) return;
+
+                if (event.target.closest?.('.btn.btn-primary.btn-lg.sm\\:btn-xl.relative.z-30')) {
+                    autoFillManager.pause('✋ Auto-fill paused because you started painting. Click Resume to continue');
+                }
+            }, true);
+
             button.onclick = async () => {
                 await autoFillManager.start();
             };
         }).buildElement().addButton({ 'id': 'bm-button-mode', 'textContent': 'Mode: Scan', 'disabled': true }, (instance, button) => {
-            const modes = ['Scan', 'Random'];
-            let currentModeIndex = 0;
+            const modes = getPlacementStrategyNames();
+            let currentModeIndex = Math.max(modes.indexOf(settingsManager.get('placementStrategy')), 0);
+
+            // Shows the placement strategy on the button
+            const showMode = () => {
+                const strategy = getPlacementStrategy(modes[currentModeIndex]);
+                button.textContent = `Mode: ${strategy.name}`;
+                button.title = `${strategy.description}. Click to change`;
+            };
+            showMode();
 
             button.onclick = () => {
                 currentModeIndex = (currentModeIndex + 1) % modes.length;
-                button.textContent = `Mode: ${modes[currentModeIndex]}`;
+                showMode();
+                settingsManager.set('placementStrategy', modes[currentModeIndex]);
             };
         }).buildElement()
         .addButton({ 'id': 'bm-button-protect', 'textContent': 'Protect: Off', 'disabled': true }, (instance, button) => {
-            let isProtectModeOn = false;
+            let isProtectModeOn = !!settingsManager.get('protectMode');
+            button.textContent = `Protect: ${isProtectModeOn ? 'On' : 'Off'}`;
+            window.bmProtectMode = isProtectModeOn;
 
             button.onclick = () => {
                 // Check if AutoFillManager is in protection mode and stop it
@@ -2141,49 +2797,177 @@ function buildOverlayMain() {
 
                 // Store the protect mode state globally so auto-fill can access it
                 window.bmProtectMode = isProtectModeOn;
+                settingsManager.set('protectMode', isProtectModeOn);
+            };
+        }).buildElement()
+        .addButton({ 'id': 'bm-button-pause', 'textContent': 'Pause', 'title': 'Pauses auto-fill between chunks, without stopping it', 'disabled': true }, (instance, button) => {
+            button.onclick = () => {
+                const autoFillManager = document.querySelector('#bm-button-autofill')?.autoFillManager;
+                if (!autoFillManager) return;
+
+                if (autoFillManager.state.isPaused) {
+                    autoFillManager.resume();
+                } else {
+                    autoFillManager.pause();
+                }
             };
         }).buildElement()
         .buildElement()
+        .addCheckbox({ 'id': 'bm-checkbox-auto-resume', 'textContent': 'Resume auto-fill after reload', 'title': 'When off, you are asked before an interrupted auto-fill is resumed', 'checked': !!settingsManager.get('autoResume') }, (instance, label, checkbox) => {
+            checkbox.onchange = () => settingsManager.set('autoResume', checkbox.checked);
+        }).buildElement()
+        .addDiv({ 'id': 'bm-contain-color-order' })
+        .addSelect({ 'id': 'bm-select-color-order', 'title': 'Fill one color before the next, so unfinished art is filled in layers', 'options': { 'off': 'All colors at once', 'frequent': 'Most common color first', 'rare': 'Least common color first', 'custom': 'Custom color order' }, 'value': settingsManager.get('colorOrder') }, (instance, select) => {
+            select.onchange = () => {
+                settingsManager.set('colorOrder', select.value);
+                document.querySelector('#bm-input-color-order').hidden = select.value != 'custom';
+            };
+        }).buildElement()
+        .addInput({ 'type': 'text', 'id': 'bm-input-color-order', 'placeholder': 'Color IDs, e.g. 1, 5, 7', 'title': 'The color IDs to fill first, in order. Other colors are filled after, most common first', 'value': settingsManager.get('colorOrderCustom'), 'hidden': settingsManager.get('colorOrder') != 'custom' }, (instance, input) => {
+            input.onchange = () => settingsManager.set('colorOrderCustom', input.value);
+        }).buildElement()
+        .buildElement()
+        .addDiv({ 'id': 'bm-contain-palette', 'title': 'Click a color to exclude it from auto-fill and protection' }, (instance, div) => {
+            // One swatch for every color, except transparent
+            for (const [colorId, [r, g, b]] of Object.entries(colorMap)) {
+                if (colorId == '0') {continue;}
+
+                const swatch = document.createElement('button');
+                swatch.className = 'bm-color-swatch';
+                swatch.dataset.colorId = colorId;
+                swatch.style.backgroundColor = `rgb(${r}, ${g}, ${b})`;
+                swatch.onclick = () => {
+                    const isExcluded = !excludedColors.has(Number(colorId));
+                    if (isExcluded) {
+                        excludedColors.add(Number(colorId));
+                    } else {
+                        excludedColors.delete(Number(colorId));
+                    }
+                    settingsManager.set('excludedColors', [...excludedColors]);
+                    updatePaletteGrid();
+                    instance.handleDisplayStatus(`${isExcluded ? 'Excluded' : 'Included'} ${colorNames[colorId]} ${isExcluded ? 'from' : 'in'} auto-fill`);
+                };
+                div.appendChild(swatch);
+            }
+        }).buildElement()
+        .addDiv({ 'id': 'bm-contain-templates' }).buildElement()
         .addTextarea({ 'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true }).buildElement()
         .addTextarea({ 'id': 'bm-autofill-output', 'placeholder': 'Auto-Fill Output:\nWaiting for auto-fill to start...', 'readOnly': true }).buildElement()
         .addTextarea({ 'id': 'bm-progress-display', 'placeholder': 'Progress:\nWaiting for template analysis...', 'readOnly': true }).buildElement()
+        .addDiv({ 'id': 'bm-contain-rate-chart', 'style': 'display: none;' }, (instance, div) => {
+            // Auto-fill draws the placement rate of this session on the chart
+            const canvas = document.createElement('canvas');
+            canvas.id = 'bm-canvas-rate-chart';
+            canvas.width = 300;
+            canvas.height = 40;
+            div.appendChild(canvas);
+        }).buildElement()
+        .addDiv({ 'id': 'bm-contain-notifications', 'hidden': true }, (instance, div) => {
+            // One row for each event type, with a checkbox for desktop notifications and one for sounds
+            for (const [textContent, title] of [['Alert me when...', ''], ['🔔', 'Desktop notification'], ['🔊', 'Sound']]) {
+                const heading = document.createElement('small');
+                heading.textContent = textContent;
+                heading.title = title;
+                div.appendChild(heading);
+            }
+
+            for (const [eventType, eventName] of Object.entries(notificationEvents)) {
+                const label = document.createElement('small');
+                label.textContent = eventName;
+                div.appendChild(label);
+
+                for (const alert of ['desktop', 'sound']) {
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = notifier.getAlerts(eventType)[alert];
+                    checkbox.title = `${alert == 'desktop' ? 'Show a desktop notification' : 'Play a sound'} when: ${eventName}`;
+                    checkbox.onchange = async () => {
+                        checkbox.checked = await notifier.setAlert(eventType, alert, checkbox.checked);
+                        if (alert == 'desktop' && !checkbox.checked && window.Notification?.permission == 'denied') {
+                            instance.handleDisplayError('Desktop notifications are blocked by the browser!');
+                        }
+                    };
+                    div.appendChild(checkbox);
+                }
+            }
+        }).buildElement()
+        .addDiv({ 'id': 'bm-contain-grief-log', 'hidden': true })
+        .addDiv({ 'id': 'bm-contain-grief-log-buttons' })
+        .addButton({ 'textContent': 'Export CSV', 'title': 'Export the grief log with one row for each damaged pixel' }, (instance, button) => {
+            button.onclick = () => {
+                downloadFile(griefLog.toCSV(), 'grief-log.csv', 'text/csv');
+                instance.handleDisplayStatus('Exported the grief log to "grief-log.csv"!');
+            };
+        }).buildElement()
+        .addButton({ 'textContent': 'Export JSON', 'title': 'Export the grief log as JSON' }, (instance, button) => {
+            button.onclick = () => {
+                downloadFile(JSON.stringify(griefLog.toJSON()), 'grief-log.json', 'application/json');
+                instance.handleDisplayStatus('Exported the grief log to "grief-log.json"!');
+            };
+        }).buildElement()
+        .addButton({ 'textContent': 'Clear', 'title': 'Remove every entry from the grief log' }, (instance, button) => {
+            button.onclick = async () => {
+                if (!confirm('Remove every entry from the grief log?')) {return;}
+                await griefLog.clear();
+                instance.handleDisplayStatus('Cleared the grief log');
+            };
+        }).buildElement()
+        .buildElement()
+        .addCheckbox({ 'id': 'bm-checkbox-grief-heatmap', 'textContent': 'Show grief heatmap', 'title': 'Tints template pixels by how often they were griefed. Yellow was griefed the least, and red the most. Tiles update as they load', 'checked': !!settingsManager.get('showGriefHeatmap') }, (instance, label, checkbox) => {
+            checkbox.onchange = () => {
+                settingsManager.set('showGriefHeatmap', checkbox.checked);
+                templateManager.setGriefHeatmap(checkbox.checked ? griefLog.getGriefCounts() : null);
+                instance.handleDisplayStatus(`${checkbox.checked ? 'Showing' : 'Hiding'} the grief heatmap. Move the map to redraw the tiles`);
+            };
+        }).buildElement()
+        .addDiv({ 'id': 'bm-contain-grief-entries' }).buildElement()
+        .buildElement()
         .addDiv({ 'id': 'bm-contain-buttons-action' })
         .addDiv()
-        .addButton({ 'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter' },
+        .addButton({ 'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'External Template Color Converter (templates are also converted when uploaded)' },
             (instance, button) => {
                 button.addEventListener('click', () => {
                     window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
                 });
             }).buildElement()
+        .addButton({ 'id': 'bm-button-notifications', 'className': 'bm-help', 'innerHTML': '🔔', 'title': 'Show/Hide the desktop notification and sound settings' }, (instance, button) => {
+            button.onclick = () => {
+                const container = document.querySelector('#bm-contain-notifications');
+                container.hidden = !container.hidden;
+            };
+        }).buildElement()
+        .addButton({ 'id': 'bm-button-grief-log', 'className': 'bm-help', 'innerHTML': '📜', 'title': 'Show/Hide the grief log of protection mode' }, (instance, button) => {
+            button.onclick = () => {
+                const container = document.querySelector('#bm-contain-grief-log');
+                container.hidden = !container.hidden;
+                if (!container.hidden) {buildGriefLog();}
+            };
+        }).buildElement()
         .buildElement()
         .addSmall({ 'textContent': 'Made by SwingTheVine', 'style': 'margin-top: auto;' }).buildElement()
         .buildElement()
         .buildElement()
         .buildOverlay(document.body);
 
+    updatePaletteGrid(); // Shows which colors are excluded
+
+    // Minimizes the overlay if it was minimized before the page reloaded
+    if (settingsManager.get('isMinimized')) {
+        document.querySelector('#bm-contain-header img')?.click();
+    }
+
     // Enable / Disable Auto Fill button based on if we have a template and if it should be drawn or not
     setTimeout(() => {
-        const autoFillBtn = document.querySelector('#bm-button-autofill');
-        const modeBtn = document.querySelector('#bm-button-mode');
-        const protectBtn = document.querySelector('#bm-button-protect');
-        if (overlayMain.apiManager?.templateManager?.templatesArray.length && overlayMain.apiManager?.templateManager?.templatesShouldBeDrawn) {
-            if (autoFillBtn) autoFillBtn.disabled = false;
-            if (modeBtn) modeBtn.disabled = false;
-            if (protectBtn) protectBtn.disabled = false;
-        } else {
-            if (autoFillBtn) autoFillBtn.disabled = true;
-            if (modeBtn) modeBtn.disabled = true;
-            if (protectBtn) protectBtn.disabled = true;
-        }
+        updateTemplateButtons();
 
         // Update charge limit display with current charge max from API manager
         const chargeLimitInput = document.querySelector('#bm-input-charge-limit');
         const chargeLimitDisplay = document.querySelector('#bm-charge-limit-display');
         if (chargeLimitInput && chargeLimitDisplay && overlayMain.apiManager?.charges?.max) {
-            const currentMax = Math.floor(overlayMain.apiManager.charges.max <= 10 ? overlayMain.apiManager.charges.max : 10);
-            // Update input attributes and display to reflect API max
+            const currentMax = Math.floor(overlayMain.apiManager.charges.max);
+            // Update input attributes and display to reflect API max. The stored charge limit is kept, unless it is too high
             chargeLimitInput.max = currentMax;
-            chargeLimitInput.value = currentMax; // set the input value to the API max as requested
+            chargeLimitInput.value = Math.min(settingsManager.get('chargeLimit') ?? currentMax, currentMax);
             chargeLimitDisplay.textContent = `/${currentMax}`;
         }
 
@@ -2191,3 +2975,325 @@ function buildOverlayMain() {
         initializeColorOwnershipDebugger(overlayMain);
     }, 1000)
 }
+
+/** Enables or disables the Auto Fill, Mode, and Protect buttons.
+ * The buttons are only enabled when there is at least one enabled template.
+ * @since 0.78.20
+ */
+function updateTemplateButtons() {
+    const autoFillBtn = document.querySelector('#bm-button-autofill');
+    const modeBtn = document.querySelector('#bm-button-mode');
+    const protectBtn = document.querySelector('#bm-button-protect');
+    const shouldDisable = !templateManager.getEnabledTemplates().length;
+
+    if (autoFillBtn) autoFillBtn.disabled = shouldDisable;
+    if (modeBtn) modeBtn.disabled = shouldDisable;
+    if (protectBtn) protectBtn.disabled = shouldDisable;
+}
+
+/** Updates the swatches of the palette grid to show which colors are excluded and owned.
+ * @param {Array<number>} [ownedColors] - (Optional) The color IDs the user owns. Ownership is unchanged if not passed in
+ * @since 0.78.31
+ */
+function updatePaletteGrid(ownedColors) {
+    const ownedColorsSet = ownedColors ? new Set(ownedColors) : null;
+
+    for (const swatch of document.querySelectorAll('#bm-contain-palette .bm-color-swatch')) {
+        const colorId = Number(swatch.dataset.colorId);
+        const isExcluded = excludedColors.has(colorId);
+
+        swatch.classList.toggle('bm-color-excluded', isExcluded);
+        if (ownedColorsSet) {
+            swatch.classList.toggle('bm-color-unowned', !ownedColorsSet.has(colorId));
+        }
+
+        const isUnowned = swatch.classList.contains('bm-color-unowned');
+        swatch.title = `${colorNames[colorId]} (${colorId})${isExcluded ? ' - Excluded' : ''}${isUnowned ? ' - Not owned' : ''}`;
+    }
+}
+
+/** Returns the order that colors should be filled in for color-by-color mode.
+ * The order is read from the overlay. Frequency is based on the color counts of the enabled templates.
+ * Colors missing from a custom order are filled after it, most common first.
+ * @returns {Array<number>|null} The color IDs in fill order, or null if all colors are filled at once
+ * @since 0.78.30
+ */
+function getColorFillOrder() {
+    const mode = document.querySelector('#bm-select-color-order')?.value || 'off';
+    if (mode == 'off') {return null;}
+
+    // Total pixels of each color across all enabled templates
+    const colorTotals = {};
+    for (const template of templateManager.getEnabledTemplates()) {
+        for (const [colorId, count] of Object.entries(template.colorCounts || {})) {
+            colorTotals[colorId] = (colorTotals[colorId] || 0) + count;
+        }
+    }
+
+    const colorsByFrequency = Object.keys(colorTotals)
+        .map(Number)
+        .sort((a, b) => (colorTotals[b] - colorTotals[a]) || (a - b));
+
+    if (mode == 'rare') {return colorsByFrequency.reverse();}
+    if (mode != 'custom') {return colorsByFrequency;}
+
+    // "1, 5 7" -> [1, 5, 7]
+    const customOrder = [...new Set((document.querySelector('#bm-input-color-order')?.value || '')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(Number.isInteger))];
+
+    return [...customOrder, ...colorsByFrequency.filter(colorId => !customOrder.includes(colorId))];
+}
+
+/** Downloads templates as a Blue Marble JSON file.
+ * @param {string} [templateKey] - (Optional) The key of the only template to export (E.g., "0 $Z"). All templates are exported by default
+ * @since 0.78.24
+ */
+async function exportTemplates(templateKey = null) {
+    const json = await templateManager.exportJSON(templateKey);
+
+    if (!json) {
+        overlayMain.handleDisplayError('There are no templates to export!');
+        return;
+    }
+
+    // "My Template" -> "My-Template.json". Exports of all templates are named after the userscript
+    const templateName = templateKey === null ? name : json.templates[templateKey]?.name;
+    const fileName = `${(templateName || 'template').replace(/[^\w\-]+/g, '-')}.json`;
+
+    downloadFile(JSON.stringify(json), fileName, 'application/json');
+
+    const templateCount = Object.keys(json.templates).length;
+    overlayMain.handleDisplayStatus(`Exported ${templateCount} template${templateCount == 1 ? '' : 's'} to "${fileName}"!`);
+}
+
+/** Downloads text as a file.
+ * @param {string} content - The content of the file
+ * @param {string} fileName - The name of the file (E.g., "My-Template.json")
+ * @param {string} type - The MIME type of the file (E.g., "application/json")
+ * @since 0.78.40
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob); // Creates a blob URL
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click(); // Downloads the blob
+    setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
+}
+
+/** Builds the entries of the grief log viewer.
+ * Only the newest entries are shown. Every entry is exported.
+ * @since 0.78.40
+ */
+function buildGriefLog() {
+    const container = document.querySelector('#bm-contain-grief-entries');
+
+    if (!container || container.parentElement.hidden) { return; } // The viewer is not built yet, or is hidden
+
+    container.replaceChildren(); // Removes the entries of the previous build
+
+    const entries = griefLog.getEntries();
+    const outcomeNames = { 'repaired': '✅ Repaired', 'fixedByOthers': '🤝 Fixed by others', 'unrepaired': '❌ Unrepaired' };
+
+    if (!entries.length) {
+        overlayTabTemplate.addSmall({ 'textContent': 'No grief logged.' }).buildOverlay(container);
+        return;
+    }
+
+    for (const entry of entries.slice(0, 50)) {
+        // Lists the first damaged pixels when hovered
+        const pixelList = entry['pixels'].slice(0, 20).map(([tileX, tileY, pixelX, pixelY, expectedColorId, foundColorId]) =>
+            `${tileX}, ${tileY}, ${pixelX}, ${pixelY}: ${colorNames[foundColorId] ?? foundColorId} instead of ${colorNames[expectedColorId] ?? expectedColorId}`
+        );
+        if (entry['pixelCount'] > pixelList.length) {
+            pixelList.push(`...and ${new Intl.NumberFormat().format(entry['pixelCount'] - pixelList.length)} more`);
+        }
+
+        const repaired = entry['repairedCount'] ? ` (${new Intl.NumberFormat().format(entry['repairedCount'])} px repaired)` : '';
+
+        overlayTabTemplate.addSmall({
+            'className': 'bm-grief-entry',
+            'textContent': `${new Date(entry['time']).toLocaleString()} | ${new Intl.NumberFormat().format(entry['pixelCount'])} px | ${outcomeNames[entry['outcome']] ?? entry['outcome']}${repaired}`,
+            'title': pixelList.join('\n')
+        }).buildOverlay(container);
+    }
+}
+
+/** Populates the coordinate inputs of the main overlay.
+ * @param {Array<number>} coords - The coordinates as (tileX, tileY, pixelX, pixelY)
+ * @since 0.78.23
+ */
+function fillCoordinateInputs(coords) {
+    overlayMain.updateInnerHTML('bm-input-tx', coords?.[0] ?? '');
+    overlayMain.updateInnerHTML('bm-input-ty', coords?.[1] ?? '');
+    overlayMain.updateInnerHTML('bm-input-px', coords?.[2] ?? '');
+    overlayMain.updateInnerHTML('bm-input-py', coords?.[3] ?? '');
+}
+
+/** Restores the coordinates of the top enabled template after the templates are loaded from storage.
+ * The coordinates are put in the coordinate inputs, and stored as the last "enabled" template coords.
+ * @since 0.78.23
+ */
+function restoreTemplateCoords() {
+
+    // The enabled template drawn on top (highest sortID) that knows where it is
+    const template = templateManager.getEnabledTemplates()
+        .filter(template => template.coords)
+        .sort((a, b) => b.sortID - a.sortID)?.[0];
+
+    if (!template) { return; } // No template with coordinates was loaded
+
+    apiManager.templateCoordsTilePixel = [...template.coords];
+    fillCoordinateInputs(template.coords);
+}
+
+/** Builds the list of loaded templates inside the main overlay.
+ * Each row shows the name, coordinates, and pixel count of a template, plus controls to enable/disable or delete it.
+ * @since 0.78.20
+ */
+function buildTemplateList() {
+    const container = document.querySelector('#bm-contain-templates');
+
+    if (!container) { return; } // The overlay has not been built yet
+
+    container.replaceChildren(); // Removes the rows of the previous build
+
+    // Sorts the templates by draw priority. 0 = first = lowest draw priority
+    const templates = [...templateManager.templatesArray].sort((a, b) => a.sortID - b.sortID);
+
+    if (!templates.length) {
+        overlayTabTemplate.addSmall({ 'textContent': 'No templates loaded.' }).buildOverlay(container);
+        return;
+    }
+
+    for (const template of templates) {
+        const templateKey = templateManager.getTemplateKey(template);
+        const templateValue = templateManager.templatesJSON?.templates?.[templateKey] || {};
+        const pixelCount = template.chunked ? new Intl.NumberFormat().format(template.pixelCount) : '?';
+        const colorBreakdown = Object.entries(template.colorCounts || {})
+            .sort(([, countA], [, countB]) => countB - countA)
+            .map(([colorId, count]) => `${colorNames[colorId] ?? `Color ${colorId}`}: ${new Intl.NumberFormat().format(count)} px`);
+        if (template.defacePixelCount) {
+            colorBreakdown.push(`#deface: ${new Intl.NumberFormat().format(template.defacePixelCount)} px`);
+        }
+
+        const protectionText = Array.isArray(template.protection) ? `the rectangle ${template.protection.join(', ')}` : template.protection == 'none' ? 'nothing' : template.mask?.protectBounds ? 'the yellow zone of the mask' : 'everything';
+
+        overlayTabTemplate.addDiv({ 'className': 'bm-template-row' })
+            .addCheckbox({ 'textContent': template.displayName, 'title': 'Enable/Disable this template', 'checked': template.enabled }, (instance, label, checkbox) => {
+                checkbox.onchange = async () => {
+                    if (checkbox.checked) {
+                        await templateManager.enableTemplate(templateKey);
+                    } else {
+                        await templateManager.disableTemplate(templateKey);
+                    }
+                };
+            }).buildElement()
+            .addSmall({ 'textContent': `${template.coords?.join(', ') || 'Unknown coords'} | ${pixelCount} px`, 'title': colorBreakdown.join('\n') }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '🎭', 'title': `Upload a mask of priority zones for "${template.displayName}". It is placed at the template coordinates\nGreen: Paint first\nBlue: Paint last\nRed: Never paint\nYellow: Paint normally, and only protect this part\nTransparent: Paint normally` }, (instance, button) => {
+                button.onclick = () => {
+                    const input = document.createElement('input');
+                    input.type = 'file';
+                    input.accept = 'image/png, image/webp, image/bmp, image/gif';
+                    input.onchange = async () => {
+                        const file = input.files?.[0];
+                        if (file) {await templateManager.setTemplateMask(templateKey, file);}
+                    };
+                    input.click();
+                };
+            }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '🚫', 'title': `Remove the mask of "${template.displayName}"`, 'hidden': !template.mask }, (instance, button) => {
+                button.onclick = async () => {
+                    await templateManager.setTemplateMask(templateKey, null);
+                };
+            }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '🛡️', 'title': `Choose which part of "${template.displayName}" protection mode watches. Now: ${protectionText}`, 'style': template.protection == 'none' ? 'opacity: 0.4;' : '' }, (instance, button) => {
+                button.onclick = async () => {
+                    const answer = prompt(`Which part of "${template.displayName}" should protection mode watch?\nEnter "all", "none", or a rectangle as "x, y, width, height" in template pixels from the top left corner`, Array.isArray(template.protection) ? template.protection.join(', ') : template.protection);
+                    if (answer === null) {return;} // Cancelled
+
+                    const rectangle = answer.split(',').map(value => Number(value.trim()));
+                    if (['all', 'none'].includes(answer.trim().toLowerCase())) {
+                        await templateManager.setTemplateProtection(templateKey, answer.trim().toLowerCase());
+                    } else if (rectangle.length == 4 && rectangle.every(Number.isInteger) && rectangle[0] >= 0 && rectangle[1] >= 0 && rectangle[2] > 0 && rectangle[3] > 0) {
+                        await templateManager.setTemplateProtection(templateKey, rectangle);
+                    } else {
+                        instance.handleDisplayError(`"${answer}" is not "all", "none", or "x, y, width, height"!`);
+                    }
+                };
+            }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '📍', 'title': `Copy the coordinates of "${template.displayName}" into the coordinate inputs`, 'disabled': !template.coords }, (instance, button) => {
+                button.onclick = () => {
+                    fillCoordinateInputs(template.coords);
+                    instance.handleDisplayStatus(`📍 Loaded the coordinates of "${template.displayName}"`);
+                };
+            }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '💾', 'title': `Export "${template.displayName}"` }, (instance, button) => {
+                button.onclick = async () => {
+                    await exportTemplates(templateKey);
+                };
+            }).buildElement()
+            .addButton({ 'className': 'bm-help', 'textContent': '🗑', 'title': `Delete "${template.displayName}"` }, (instance, button) => {
+                button.onclick = async () => {
+                    if (!confirm(`Delete the template "${template.displayName}"?`)) { return; }
+                    await templateManager.deleteTemplate(templateKey);
+                };
+            }).buildElement()
+            .buildOverlay(container);
+    }
+}
+
+/** Converts the chosen template file to the wplace palette, and shows a preview of the result.
+ * The dithering mode and "owned colors only" option are read from the overlay.
+ * The converted file is used by the Create button instead of the chosen file.
+ * @returns {Promise<void>}
+ * @since 0.78.28
+ */
+function updateTemplateConversion() {
+
+    // Conversions run one after another, so the last settings always win
+    templateConversion = templateConversion.then(async () => {
+        const file = document.querySelector('#bm-input-file-template')?.files?.[0];
+        const dither = document.querySelector('#bm-select-convert')?.value || 'off';
+        const isOwnedOnly = !!document.querySelector('#bm-checkbox-convert-owned')?.checked;
+        const preview = document.querySelector('#bm-template-preview');
+
+        convertedTemplateFile = null;
+        if (preview?.src) {
+            URL.revokeObjectURL(preview.src); // Destroys the previous preview blob
+            preview.removeAttribute('src');
+        }
+        if (preview) {preview.hidden = true;}
+
+        if (!file || dither == 'off') {return;} // Nothing to convert
+
+        const bitmap = await createImageBitmap(file);
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+
+        const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+        const colorIds = isOwnedOnly ? getOwnedColorsFromBitmap(apiManager.extraColorsBitmap || 0) : null;
+        context.putImageData(quantizeImageData(imageData, { dither, colorIds }), 0, 0);
+
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        convertedTemplateFile = new File([blob], file.name.replace(/\.[^/.]+$/, '.png'), { type: 'image/png' });
+
+        if (preview) {
+            preview.src = URL.createObjectURL(blob);
+            preview.hidden = false;
+        }
+
+        overlayMain.handleDisplayStatus(`Converted "${file.name}" to the ${isOwnedOnly ? 'owned' : 'wplace'} palette!\nCheck the preview, then click Create.`);
+    }).catch(error => {
+        convertedTemplateFile = null;
+        overlayMain.handleDisplayError(`Could not convert the template! The original colors will be used.`);
+        console.error(error);
+    });
+
+    return templateConversion;
+}
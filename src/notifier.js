@@ -0,0 +1,142 @@
+/** Notifier class for alerting the user about events while the tab is in the background.
+ * Each event type can show a desktop notification, play a sound, both, or neither.
+ * Nothing is shown or played unless the user turns it on.
+ * @since 0.78.42
+ */
+
+/** The events the user can be notified about.
+ * The key is the event type, and the value is the name shown in the overlay.
+ * @since 0.78.42
+ */
+export const notificationEvents = {
+  'grief': 'Grief detected',
+  'complete': 'Template completed',
+  'loggedOut': 'Logged out',
+  'placementFailures': 'Repeated placement failures',
+  'unexpectedStop': 'Auto-fill stopped unexpectedly'
+};
+
+/** The tone of each event type, as [frequency (Hz), beep count].
+ * @since 0.78.42
+ */
+const eventTones = {
+  'grief': [880, 3],
+  'complete': [660, 2],
+  'loggedOut': [330, 3],
+  'placementFailures': [440, 3],
+  'unexpectedStop': [330, 2]
+};
+
+export default class Notifier {
+
+  /** Constructor for Notifier class.
+   * @param {string} name - The name of the userscript. Used as the title of notifications
+   * @param {SettingsManager} settingsManager - The settings, which store what each event type alerts with
+   * @param {number} [cooldown=60000] - The least time between two alerts of the same event type (ms)
+   * @since 0.78.42
+   */
+  constructor(name, settingsManager, cooldown = 60000) {
+    this.name = name;
+    this.settingsManager = settingsManager;
+    this.cooldown = cooldown;
+    this.lastAlertTimes = {}; // When each event type last alerted
+    this.audioContext = null; // Created the first time a sound is turned on, since browsers block audio until the user interacts
+  }
+
+  /** Returns how an event type alerts the user.
+   * @param {string} eventType - The event type (E.g., 'grief')
+   * @returns {{desktop: boolean, sound: boolean}} Does the event type show a desktop notification, and does it play a sound?
+   * @since 0.78.42
+   */
+  getAlerts(eventType) {
+    return {
+      'desktop': this.settingsManager.get('desktopNotificationEvents').includes(eventType),
+      'sound': this.settingsManager.get('soundNotificationEvents').includes(eventType)
+    };
+  }
+
+  /** Turns a desktop notification or sound on or off for an event type.
+   * Asks for permission to show desktop notifications when they are turned on.
+   * Must be called from a user interaction, so the browser allows notifications and audio.
+   * @param {string} eventType - The event type (E.g., 'grief')
+   * @param {string} alert - 'desktop' or 'sound'
+   * @param {boolean} isOn - Should the alert be on?
+   * @returns {Promise<boolean>} Is the alert on? False if the browser does not allow it
+   * @since 0.78.42
+   */
+  async setAlert(eventType, alert, isOn) {
+    if (isOn && alert == 'desktop') {
+      if (!('Notification' in window)) {return false;}
+      if (Notification.permission != 'granted' && await Notification.requestPermission() != 'granted') {return false;}
+    } else if (isOn && alert == 'sound') {
+      this.audioContext ??= new AudioContext();
+      await this.audioContext.resume();
+    }
+
+    const settingKey = (alert == 'desktop') ? 'desktopNotificationEvents' : 'soundNotificationEvents';
+    const eventTypes = new Set(this.settingsManager.get(settingKey));
+    if (isOn) {
+      eventTypes.add(eventType);
+    } else {
+      eventTypes.delete(eventType);
+    }
+    await this.settingsManager.set(settingKey, [...eventTypes]);
+
+    return isOn;
+  }
+
+  /** Alerts the user about an event, with the alerts the user turned on for it.
+   * Alerts of the same event type are skipped until the cooldown is over.
+   * @param {string} eventType - The event type (E.g., 'grief')
+   * @param {string} message - What happened
+   * @since 0.78.42
+   */
+  notify(eventType, message) {
+    const alerts = this.getAlerts(eventType);
+    if (!alerts['desktop'] && !alerts['sound']) {return;}
+
+    const now = Date.now();
+    if (now - (this.lastAlertTimes[eventType] || 0) < this.cooldown) {return;}
+    this.lastAlertTimes[eventType] = now;
+
+    if (alerts['desktop'] && ('Notification' in window) && Notification.permission == 'granted') {
+      try {
+        new Notification(`${this.name}: ${notificationEvents[eventType] ?? eventType}`, { 'body': message, 'tag': `bm-${eventType}` });
+      } catch (error) {
+        console.warn(`Notifier: Could not show the "${eventType}" notification`, error);
+      }
+    }
+
+    if (alerts['sound']) {
+      this.#playTone(...(eventTones[eventType] ?? [440, 1]));
+    }
+  }
+
+  /** Plays short beeps.
+   * @param {number} frequency - The pitch of the beeps (Hz)
+   * @param {number} beepCount - How many beeps to play
+   * @since 0.78.42
+   */
+  #playTone(frequency, beepCount) {
+    try {
+      this.audioContext ??= new AudioContext();
+      const start = this.audioContext.currentTime;
+
+      for (let beep = 0; beep < beepCount; beep++) {
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        const beepStart = start + beep * 0.25;
+
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, beepStart);
+        gain.gain.exponentialRampToValueAtTime(0.001, beepStart + 0.2); // Fades out, so the beep does not click
+
+        oscillator.connect(gain).connect(this.audioContext.destination);
+        oscillator.start(beepStart);
+        oscillator.stop(beepStart + 0.2);
+      }
+    } catch (error) {
+      console.warn(`Notifier: Could not play a sound`, error);
+    }
+  }
+}
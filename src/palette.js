@@ -0,0 +1,273 @@
+/** The color palette of wplace, and functions to match colors to it.
+ * @since 0.78.27
+ */
+
+/** The color palette of wplace, as the name and RGBA value of each color.
+ * The key is the color ID the server uses. Color ID 0 is transparent.
+ * @since 0.78.31
+ */
+const paletteColors = {
+  0: ['Transparent', [0, 0, 0, 0]],
+  1: ['Black', [0, 0, 0, 255]],
+  2: ['Dark Gray', [60, 60, 60, 255]],
+  3: ['Gray', [120, 120, 120, 255]],
+  4: ['Light Gray', [210, 210, 210, 255]],
+  5: ['White', [255, 255, 255, 255]],
+  6: ['Deep Red', [96, 0, 24, 255]],
+  7: ['Red', [237, 28, 36, 255]],
+  8: ['Orange', [255, 127, 39, 255]],
+  9: ['Gold', [246, 170, 9, 255]],
+  10: ['Yellow', [249, 221, 59, 255]],
+  11: ['Light Yellow', [255, 250, 188, 255]],
+  12: ['Dark Green', [14, 185, 104, 255]],
+  13: ['Green', [19, 230, 123, 255]],
+  14: ['Light Green', [135, 255, 94, 255]],
+  15: ['Dark Teal', [12, 129, 110, 255]],
+  16: ['Teal', [16, 174, 166, 255]],
+  17: ['Light Teal', [19, 225, 190, 255]],
+  18: ['Dark Blue', [40, 80, 158, 255]],
+  19: ['Blue', [64, 147, 228, 255]],
+  20: ['Cyan', [96, 247, 242, 255]],
+  21: ['Indigo', [107, 80, 246, 255]],
+  22: ['Light Indigo', [153, 177, 251, 255]],
+  23: ['Dark Purple', [120, 12, 153, 255]],
+  24: ['Purple', [170, 56, 185, 255]],
+  25: ['Light Purple', [224, 159, 249, 255]],
+  26: ['Dark Pink', [203, 0, 122, 255]],
+  27: ['Pink', [236, 31, 128, 255]],
+  28: ['Light Pink', [243, 141, 169, 255]],
+  29: ['Dark Brown', [104, 70, 52, 255]],
+  30: ['Brown', [149, 104, 42, 255]],
+  31: ['Beige', [248, 178, 119, 255]],
+  32: ['Medium Gray', [170, 170, 170, 255]],
+  33: ['Dark Red', [165, 14, 30, 255]],
+  34: ['Light Red', [250, 128, 114, 255]],
+  35: ['Dark Orange', [228, 92, 26, 255]],
+  36: ['Light Tan', [214, 181, 148, 255]],
+  37: ['Dark Goldenrod', [156, 132, 49, 255]],
+  38: ['Goldenrod', [197, 173, 49, 255]],
+  39: ['Light Goldenrod', [232, 212, 95, 255]],
+  40: ['Dark Olive', [74, 107, 58, 255]],
+  41: ['Olive', [90, 148, 74, 255]],
+  42: ['Light Olive', [132, 197, 115, 255]],
+  43: ['Dark Cyan', [15, 121, 159, 255]],
+  44: ['Light Cyan', [187, 250, 242, 255]],
+  45: ['Light Blue', [125, 199, 255, 255]],
+  46: ['Dark Indigo', [77, 49, 184, 255]],
+  47: ['Dark Slate Blue', [74, 66, 132, 255]],
+  48: ['Slate Blue', [122, 113, 196, 255]],
+  49: ['Light Slate Blue', [181, 174, 241, 255]],
+  50: ['Light Brown', [219, 164, 99, 255]],
+  51: ['Dark Beige', [209, 128, 81, 255]],
+  52: ['Light Beige', [255, 197, 165, 255]],
+  53: ['Dark Peach', [155, 82, 73, 255]],
+  54: ['Peach', [209, 128, 120, 255]],
+  55: ['Light Peach', [250, 182, 164, 255]],
+  56: ['Dark Tan', [123, 99, 82, 255]],
+  57: ['Tan', [156, 132, 107, 255]],
+  58: ['Dark Slate', [51, 57, 65, 255]],
+  59: ['Slate', [109, 117, 141, 255]],
+  60: ['Light Slate', [179, 185, 209, 255]],
+  61: ['Dark Stone', [109, 100, 63, 255]],
+  62: ['Stone', [148, 140, 107, 255]],
+  63: ['Light Stone', [205, 197, 158, 255]]
+};
+
+/** The color palette of wplace as RGBA values.
+ * The key is the color ID the server uses. Color ID 0 is transparent.
+ * @since 0.78.27
+ */
+export const colorMap = Object.fromEntries(Object.entries(paletteColors).map(([colorId, [, rgba]]) => [colorId, rgba]));
+
+/** The names of the colors in the wplace palette.
+ * The key is the color ID.
+ * @since 0.78.31
+ */
+export const colorNames = Object.fromEntries(Object.entries(paletteColors).map(([colorId, [name]]) => [colorId, name]));
+
+/** Checks if a color is the special "#deface" color.
+ * Template pixels with this color mean "place a transparent pixel here" (erase).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {boolean} Is the color #deface?
+ * @since 0.78.27
+ */
+export function isDefaceColor(r, g, b) {
+  return r === 222 && g === 250 && b === 206;
+}
+
+/** Finds the closest palette color ID for an RGBA color.
+ * Transparent and "#deface" pixels are color ID 0 (transparent).
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @param {number} a - Alpha (0-255)
+ * @returns {number} The color ID
+ * @since 0.78.27
+ */
+export function getColorIdFromRGB(r, g, b, a) {
+  if (a === 0) return 0; // Transparent
+
+  // Check for special #deface color (222, 250, 206) - place transparent pixels
+  if (isDefaceColor(r, g, b)) {
+    return 0; // Return transparent
+  }
+
+  let minDistanceSquared = Infinity; // Use squared distance to avoid sqrt
+  let closestColorId = 1; // Default to black
+
+  for (const [colorId, [cr, cg, cb]] of Object.entries(colorMap)) {
+    if (colorId === '0') continue; // Skip transparent
+    const distanceSquared = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+    if (distanceSquared < minDistanceSquared) {
+      minDistanceSquared = distanceSquared;
+      closestColorId = parseInt(colorId);
+    }
+  }
+  return closestColorId;
+}
+
+/** Decodes the extraColorsBitmap decimal value to determine which colors are owned.
+ * Handles both the original positive integer format and the new format that uses
+ * a negative number as a bitmask for colors 32-63.
+ * @param {number} extraColorsBitmap - The decimal representation for colors 32-63.
+ * @returns {number[]} Array of color IDs that are owned.
+ * @since 0.78.28
+ */
+export function getOwnedColorsFromBitmap(extraColorsBitmap) {
+  const ownedColors = new Set();
+
+  for (let i = 0; i < 32; i++) {
+    ownedColors.add(i);
+  }
+
+  if (extraColorsBitmap) {
+    if (extraColorsBitmap < 0) extraColorsBitmap = extraColorsBitmap >>> 0;
+
+    for (let i = 0; i < 32; i++) {
+      if ((extraColorsBitmap & (1 << i)) !== 0) {
+        ownedColors.add(i + 32);
+      }
+    }
+  }
+
+  return Array.from(ownedColors).sort((a, b) => a - b);
+}
+
+/** The 4x4 Bayer matrix used for ordered dithering.
+ * @since 0.78.28
+ */
+const bayerMatrix = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/** Converts image data to the colors of the wplace palette.
+ * Pixels that are mostly transparent become fully transparent. #deface pixels are kept as-is.
+ * @param {ImageData} imageData - The image data to convert. It is modified in place
+ * @param {Object} [options={}] - The conversion options
+ * @param {string} [options.dither='nearest'] - 'nearest', 'floyd-steinberg', or 'ordered'
+ * @param {Array<number>} [options.colorIds=null] - The color IDs that can be used. All colors are used if null
+ * @returns {ImageData} The converted image data
+ * @since 0.78.28
+ */
+export function quantizeImageData(imageData, { dither = 'nearest', colorIds = null } = {}) {
+
+  const { width, height, data } = imageData;
+
+  // The palette colors that can be used, as [colorId, r, g, b]
+  const palette = (colorIds ?? Object.keys(colorMap).map(Number))
+    .filter(colorId => colorId != 0 && colorMap[colorId])
+    .map(colorId => [colorId, ...colorMap[colorId].slice(0, 3)]);
+
+  if (!palette.length) {return imageData;} // Nothing to convert to
+
+  const nearestCache = new Map(); // Caches the nearest palette color of each RGB value
+
+  // Finds the nearest palette color to an RGB value
+  const getNearest = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let nearest = nearestCache.get(key);
+    if (nearest) {return nearest;}
+
+    let minDistanceSquared = Infinity;
+    for (const color of palette) {
+      const distanceSquared = (r - color[1]) ** 2 + (g - color[2]) ** 2 + (b - color[3]) ** 2;
+      if (distanceSquared < minDistanceSquared) {
+        minDistanceSquared = distanceSquared;
+        nearest = color;
+      }
+    }
+
+    nearestCache.set(key, nearest);
+    return nearest;
+  };
+
+  const clamp = value => Math.min(255, Math.max(0, Math.round(value)));
+
+  // Floyd-Steinberg spreads the error of each pixel to the pixels after it
+  const errors = (dither == 'floyd-steinberg') ? new Float32Array(width * height * 3) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // For every pixel...
+
+      const pixel = y * width + x;
+      const index = pixel * 4;
+
+      // Mostly transparent pixels become fully transparent
+      if (data[index + 3] < 128) {
+        data[index + 3] = 0;
+        continue;
+      }
+      data[index + 3] = 255;
+
+      if (isDefaceColor(data[index], data[index + 1], data[index + 2])) {continue;} // Erase pixels are not part of the palette
+
+      let r = data[index];
+      let g = data[index + 1];
+      let b = data[index + 2];
+
+      if (errors) {
+        r += errors[pixel * 3];
+        g += errors[pixel * 3 + 1];
+        b += errors[pixel * 3 + 2];
+      } else if (dither == 'ordered') {
+        const threshold = (bayerMatrix[y % 4][x % 4] / 16 - 0.5) * 64; // -32 to 30
+        r += threshold;
+        g += threshold;
+        b += threshold;
+      }
+
+      r = clamp(r);
+      g = clamp(g);
+      b = clamp(b);
+
+      const [, nr, ng, nb] = getNearest(r, g, b);
+      data[index] = nr;
+      data[index + 1] = ng;
+      data[index + 2] = nb;
+
+      if (!errors) {continue;}
+
+      // Spreads the error to the neighbouring pixels
+      const error = [r - nr, g - ng, b - nb];
+      const spread = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]];
+      for (const [offsetX, offsetY, weight] of spread) {
+        const neighbourX = x + offsetX;
+        const neighbourY = y + offsetY;
+        if (neighbourX < 0 || neighbourX >= width || neighbourY >= height) {continue;}
+
+        const neighbour = (neighbourY * width + neighbourX) * 3;
+        errors[neighbour] += error[0] * weight;
+        errors[neighbour + 1] += error[1] * weight;
+        errors[neighbour + 2] += error[2] * weight;
+      }
+    }
+  }
+
+  return imageData;
+}
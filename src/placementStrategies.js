@@ -0,0 +1,196 @@
+/** The placement strategies of auto-fill.
+ * A placement strategy decides the order that pixels are placed in.
+ * Auto-fill always places the edge pixels of a template first, then the inner pixels.
+ * Each group is ordered by the selected strategy.
+ * @since 0.78.29
+ * @example
+ * // Adds a new strategy that places the right-most pixels first
+ * registerPlacementStrategy('Right-Left', {
+ *   description: 'Places pixels from right to left',
+ *   order: pixels => [...pixels].sort((a, b) => b.globalX - a.globalX)
+ * });
+ */
+
+/** A placement strategy.
+ * @typedef {Object} PlacementStrategy
+ * @property {string} name - The name of the strategy, shown in the overlay
+ * @property {string} description - What the strategy does
+ * @property {boolean} isOrderless - Can auto-fill stop looking for pixels early? Only true if the order does not depend on every pixel
+ * @property {function(Array<Object>, PlacementContext):Array<Object>} order - Returns the pixels in the order they should be placed. Each pixel has a `globalX` and `globalY`
+ * @since 0.78.29
+ */
+
+/** Information a placement strategy can use to order pixels.
+ * @typedef {Object} PlacementContext
+ * @property {{globalX: number, globalY: number}|null} lastPlacedPixel - The pixel that was placed last, if any
+ * @since 0.78.29
+ */
+
+/** All registered placement strategies, in the order they are shown in the overlay.
+ * @type {Map<string, PlacementStrategy>}
+ * @since 0.78.29
+ */
+const placementStrategies = new Map();
+
+/** Registers a placement strategy.
+ * Registering a strategy with an existing name replaces it.
+ * @param {string} name - The name of the strategy
+ * @param {Object} strategy - The strategy
+ * @param {string} [strategy.description=''] - What the strategy does
+ * @param {boolean} [strategy.isOrderless=false] - Can auto-fill stop looking for pixels early?
+ * @param {function(Array<Object>, PlacementContext):Array<Object>} strategy.order - Returns the pixels in the order they should be placed
+ * @since 0.78.29
+ */
+export function registerPlacementStrategy(name, { description = '', isOrderless = false, order }) {
+  placementStrategies.set(name, { name, description, isOrderless, order });
+}
+
+/** Returns a placement strategy by name.
+ * Unknown names return the first registered strategy.
+ * @param {string} name - The name of the strategy
+ * @returns {PlacementStrategy} The placement strategy
+ * @since 0.78.29
+ */
+export function getPlacementStrategy(name) {
+  return placementStrategies.get(name) ?? placementStrategies.values().next().value;
+}
+
+/** Returns the names of all placement strategies.
+ * @returns {Array<string>} The names of the placement strategies
+ * @since 0.78.29
+ */
+export function getPlacementStrategyNames() {
+  return Array.from(placementStrategies.keys());
+}
+
+/** Returns the bounding box of pixels.
+ * @param {Array<Object>} pixels - The pixels
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The bounding box
+ * @since 0.78.29
+ */
+function getBounds(pixels) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const { globalX, globalY } of pixels) {
+    if (globalX < minX) minX = globalX;
+    if (globalY < minY) minY = globalY;
+    if (globalX > maxX) maxX = globalX;
+    if (globalY > maxY) maxY = globalY;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/** Sorts pixels by a numeric key, computing each key once.
+ * Ties are broken in scanline order.
+ * @param {Array<Object>} pixels - The pixels
+ * @param {function(Object):number} getKey - Returns the sort key of a pixel
+ * @returns {Array<Object>} The sorted pixels
+ * @since 0.78.29
+ */
+function sortByKey(pixels, getKey) {
+  return pixels
+    .map(pixel => [getKey(pixel), pixel])
+    .sort(([keyA, a], [keyB, b]) => (keyA - keyB) || (a.globalY - b.globalY) || (a.globalX - b.globalX))
+    .map(([, pixel]) => pixel);
+}
+
+/** Returns the ring and angle of a pixel around the center of a bounding box.
+ * Sorting by ring, then angle, creates a square spiral.
+ * @param {Object} pixel - The pixel
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The bounding box
+ * @returns {number} The spiral index of the pixel. Larger rings have larger indexes
+ * @since 0.78.29
+ */
+function getSpiralIndex({ globalX, globalY }, bounds) {
+  const dx = globalX - (bounds.minX + bounds.maxX) / 2;
+  const dy = globalY - (bounds.minY + bounds.maxY) / 2;
+  const ring = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)));
+  const angle = (Math.atan2(dy, dx) + Math.PI) / (2 * Math.PI); // 0 to 1
+  return ring + angle * 0.999; // The angle never reaches the next ring
+}
+
+/** Returns the distance of a point along a Hilbert curve.
+ * @param {number} size - The size of the curve. Must be a power of 2
+ * @param {number} x - The X coordinate (0 to size - 1)
+ * @param {number} y - The Y coordinate (0 to size - 1)
+ * @returns {number} The distance along the curve
+ * @since 0.78.29
+ */
+function getHilbertIndex(size, x, y) {
+  let index = 0;
+  for (let step = size / 2; step >= 1; step /= 2) {
+    const rx = (x & step) > 0 ? 1 : 0;
+    const ry = (y & step) > 0 ? 1 : 0;
+    index += step * step * ((3 * rx) ^ ry);
+
+    // Rotates the quadrant
+    if (ry === 0) {
+      if (rx === 1) {
+        x = size - 1 - x;
+        y = size - 1 - y;
+      }
+      [x, y] = [y, x];
+    }
+  }
+  return index;
+}
+
+registerPlacementStrategy('Scan', {
+  description: 'Places pixels row by row, from top to bottom',
+  order: pixels => [...pixels].sort((a, b) => (a.globalY - b.globalY) || (a.globalX - b.globalX))
+});
+
+registerPlacementStrategy('Random', {
+  description: 'Places pixels in a random order',
+  isOrderless: true,
+  order: pixels => {
+    const shuffled = [...pixels];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+});
+
+registerPlacementStrategy('Spiral', {
+  description: 'Places pixels in a spiral, from the center outwards',
+  order: pixels => {
+    const bounds = getBounds(pixels);
+    return sortByKey(pixels, pixel => getSpiralIndex(pixel, bounds));
+  }
+});
+
+registerPlacementStrategy('Outside-In', {
+  description: 'Places pixels in a spiral, from the outside inwards',
+  order: pixels => {
+    const bounds = getBounds(pixels);
+    return sortByKey(pixels, pixel => -getSpiralIndex(pixel, bounds));
+  }
+});
+
+registerPlacementStrategy('Bottom-Up', {
+  description: 'Places pixels row by row, from bottom to top',
+  order: pixels => [...pixels].sort((a, b) => (b.globalY - a.globalY) || (a.globalX - b.globalX))
+});
+
+registerPlacementStrategy('Columns', {
+  description: 'Places pixels column by column, from left to right',
+  order: pixels => [...pixels].sort((a, b) => (a.globalX - b.globalX) || (a.globalY - b.globalY))
+});
+
+registerPlacementStrategy('Hilbert', {
+  description: 'Places pixels along a Hilbert curve, which keeps nearby pixels together',
+  order: pixels => {
+    const bounds = getBounds(pixels);
+    const size = 2 ** Math.ceil(Math.log2(Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) + 1));
+    return sortByKey(pixels, ({ globalX, globalY }) => getHilbertIndex(size, globalX - bounds.minX, globalY - bounds.minY));
+  }
+});
+
+registerPlacementStrategy('Nearest', {
+  description: 'Places the pixels nearest to the last placed pixel first',
+  order: (pixels, { lastPlacedPixel }) => {
+    if (!lastPlacedPixel) {return [...pixels].sort((a, b) => (a.globalY - b.globalY) || (a.globalX - b.globalX));} // Scan order until a pixel is placed
+    return sortByKey(pixels, ({ globalX, globalY }) => (globalX - lastPlacedPixel.globalX) ** 2 + (globalY - lastPlacedPixel.globalY) ** 2);
+  }
+});
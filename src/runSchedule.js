@@ -0,0 +1,52 @@
+/** The daily time windows that auto-fill runs in.
+ * Run windows are written as "HH:MM-HH:MM", separated by commas (E.g., "08:00-12:00, 22:00-02:00").
+ * A window that ends before it starts runs past midnight.
+ * @since 0.78.38
+ */
+
+/** A daily run window, in minutes since midnight.
+ * @typedef {Object} RunWindow
+ * @property {number} start - When the window opens (0 to 1439)
+ * @property {number} end - When the window closes (0 to 1439). A window that closes when it opens lasts all day
+ * @since 0.78.38
+ */
+
+/** Parses run windows.
+ * @param {string} text - The run windows (E.g., "08:00-12:00, 22:00-02:00"). Empty text has no run windows
+ * @returns {Array<RunWindow>} The run windows
+ * @throws {Error} If a run window can not be parsed
+ * @since 0.78.38
+ */
+export function parseRunWindows(text) {
+  return (text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) {throw new Error(`Run window "${part}" is not written as HH:MM-HH:MM`);}
+
+    const [hoursStart, minutesStart, hoursEnd, minutesEnd] = match.slice(1).map(Number);
+    if (hoursStart > 23 || hoursEnd > 23 || minutesStart > 59 || minutesEnd > 59) {
+      throw new Error(`Run window "${part}" is not a valid time`);
+    }
+
+    return { start: hoursStart * 60 + minutesStart, end: hoursEnd * 60 + minutesEnd };
+  });
+}
+
+/** Returns how long until auto-fill can run again.
+ * @param {Array<RunWindow>} runWindows - The run windows. No run windows means auto-fill can always run
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {number} How long until the next run window opens (ms). 0 if a run window is open now
+ * @since 0.78.38
+ */
+export function getTimeUntilRunWindow(runWindows, now = new Date()) {
+  if (!runWindows.length) {return 0;}
+
+  const minutes = now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+
+  const isOpen = runWindows.some(({ start, end }) =>
+    (start === end) || ((start < end) ? (minutes >= start && minutes < end) : (minutes >= start || minutes < end))
+  );
+  if (isOpen) {return 0;}
+
+  const minutesUntilOpen = Math.min(...runWindows.map(({ start }) => (start - minutes + 1440) % 1440));
+  return Math.ceil(minutesUntilOpen * 60000);
+}
@@ -0,0 +1,69 @@
+/** SettingsManager class for storing the settings of the overlay controls.
+ * All settings are stored together as one JSON object in TamperMonkey (GreaseMonkey) storage.
+ * @since 0.78.34
+ */
+
+/** The default value of every setting.
+ * @since 0.78.34
+ */
+const defaultSettings = {
+  'chargeLimit': null, // The charges to wait for before placing. Null means the max charges
+  'protectionDelay': 0, // Protection delay, in units of 30 seconds
+  'placementStrategy': 'Scan', // The name of the placement strategy of auto-fill
+  'protectMode': false, // Should the template be protected once it is complete?
+  'autoResume': true, // Should an interrupted auto-fill session resume without asking?
+  'colorOrder': 'off', // Color-by-color fill order. 'off', 'frequent', 'rare', or 'custom'
+  'colorOrderCustom': '', // The color IDs to fill first when the color order is 'custom'
+  'excludedColors': [], // Color IDs that auto-fill and protection should not place
+  'convertMode': 'nearest', // How uploaded templates are converted to the palette
+  'convertOwnedOnly': false, // Should uploaded templates only be converted to owned colors?
+  'urlRefreshMinutes': 10, // Minutes between URL template refreshes. 0 means never
+  'overlayPosition': null, // The dragged position of the overlay as [x, y]. Null means the default position
+  'isMinimized': false, // Is the overlay minimized?
+  'sessionPixelBudget': 0, // The most pixels auto-fill places before stopping. 0 means no limit
+  'sessionHourLimit': 0, // The hours auto-fill runs for before stopping. 0 means no limit
+  'runWindows': '', // The daily times auto-fill runs in (E.g., "08:00-12:00, 22:00-02:00"). Empty means always
+  'showGriefHeatmap': false, // Should griefed pixels be tinted by how often they were griefed?
+  'desktopNotificationEvents': [], // The event types that show a desktop notification (E.g., 'grief')
+  'soundNotificationEvents': [] // The event types that play a sound (E.g., 'grief')
+};
+
+export default class SettingsManager {
+
+  /** Constructor for SettingsManager class.
+   * Loads the stored settings synchronously, so the overlay can be built with them.
+   * @param {string} [storageKey='bmSettings'] - The storage key of the settings
+   * @since 0.78.34
+   */
+  constructor(storageKey = 'bmSettings') {
+    this.storageKey = storageKey;
+
+    let storedSettings = {};
+    try {
+      storedSettings = JSON.parse(GM_getValue(storageKey, '{}')) || {};
+    } catch (error) {
+      console.warn(`SettingsManager: Could not read the stored settings. Using the defaults`, error);
+    }
+
+    this.settings = { ...defaultSettings, ...storedSettings };
+  }
+
+  /** Returns the value of a setting.
+   * @param {string} key - The setting (E.g., 'chargeLimit')
+   * @returns {*} The value of the setting, or the default value if it was never set
+   * @since 0.78.34
+   */
+  get(key) {
+    return this.settings[key] ?? defaultSettings[key];
+  }
+
+  /** Changes the value of a setting, and stores all settings.
+   * @param {string} key - The setting (E.g., 'chargeLimit')
+   * @param {*} value - The new value. Must be JSON serializable
+   * @since 0.78.34
+   */
+  async set(key, value) {
+    this.settings[key] = value;
+    await GM.setValue(this.storageKey, JSON.stringify(this.settings));
+  }
+}
@@ -1,5 +1,5 @@
 import Template from "./Template";
-import { base64ToUint8, numberToEncoded } from "./utils";
+import { base64ToUint8, hashBlob, negativeSafeModulo, numberToEncoded, uint8ToBase64 } from "./utils";
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -59,7 +59,10 @@ export default class TemplateManager {
     this.templateState = ''; // The state of the template ('blob', 'proccessing', 'template', etc.)
     this.templatesArray = []; // All Template instnaces currently loaded (Template)
     this.templatesJSON = null; // All templates currently loaded (JSON)
-    this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
+    this.urlRefreshInterval = null; // The interval that re-downloads templates with a URL
+    this.isRefreshingURLTemplates = false; // Are templates with a URL being re-downloaded right now?
+    this.griefHeatmap = null; // How often each pixel was griefed, by tile. Null when the grief heatmap is hidden
+    this.griefHeatmapMax = 0; // The most times one pixel was griefed
   }
 
   /** Retrieves the pixel art canvas.
@@ -119,9 +122,10 @@ export default class TemplateManager {
    * @param {File} blob - The file blob to create a template from
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @param {string} [url] - (Optional) The URL the template image was downloaded from
    * @since 0.65.77
    */
-  async createTemplate(blob, name, coords) {
+  async createTemplate(blob, name, coords, url='') {
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
@@ -131,8 +135,9 @@ export default class TemplateManager {
     // Creates a new template instance
     const template = new Template({
       displayName: name,
-      sortID: 0, // Object.keys(this.templatesJSON.templates).length || 0, // Uncomment this to enable multiple templates (1/2)
+      sortID: this.#nextSortID(), // Appended after every template already loaded
       authorID: numberToEncoded(this.userID || 0, this.encodingBase),
+      url: url,
       file: blob,
       coords: coords
     });
@@ -141,22 +146,30 @@ export default class TemplateManager {
     template.chunked = templateTiles; // Stores the chunked tile bitmaps
 
     // Appends a child into the templates object
-    // The child's name is the number of templates already in the list (sort order) plus the encoded player ID
-    this.templatesJSON.templates[`${template.sortID} ${template.authorID}`] = {
+    // The child's name is the sort ID of the template (draw order) plus the encoded player ID
+    this.templatesJSON.templates[this.getTemplateKey(template)] = {
       "name": template.displayName, // Display name of template
       "coords": coords.join(', '), // The coords of the template
       "enabled": true,
       "tiles": templateTilesBuffers // Stores the chunked tile buffers
     };
 
-    this.templatesArray = []; // Remove this to enable multiple templates (2/2)
+    // Remembers where the template image came from, if it was downloaded, so it can be re-downloaded later
+    if (url) {
+      const templateValue = this.templatesJSON.templates[this.getTemplateKey(template)];
+      templateValue["URL"] = url;
+      templateValue["URLType"] = 'template';
+      templateValue["hash"] = await hashBlob(blob); // Used to detect when the image changes
+    }
+
     this.templatesArray.push(template); // Pushes the Template object instance to the Template Array
 
     // ==================== PIXEL COUNT DISPLAY SYSTEM ====================
     // Display pixel count statistics with internationalized number formatting
     // This provides immediate feedback to users about template complexity and size
     const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
-    this.overlay.handleDisplayStatus(`Template created at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted}`);
+    const defaceCountFormatted = new Intl.NumberFormat().format(template.defacePixelCount);
+    this.overlay.handleDisplayStatus(`Template created at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted}${template.defacePixelCount ? ` (+${defaceCountFormatted} #deface)` : ''}`);
 
     console.log(Object.keys(this.templatesJSON.templates).length);
     console.log(this.templatesJSON);
@@ -166,34 +179,354 @@ export default class TemplateManager {
     await this.#storeTemplates();
   }
 
+  /** Creates the template from an image URL.
+   * The template will be re-downloaded periodically. See {@link TemplateManager#startURLRefresh}
+   * @param {string} url - The URL of the template image
+   * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @since 0.78.26
+   */
+  async createTemplateFromURL(url, coords) {
+
+    let name = '';
+    try {
+      // "https://example.com/art/My%20Template.png" -> "My Template"
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '').replace(/\.[^/.]+$/, '');
+    } catch (error) {
+      this.overlay.handleDisplayError(`"${url}" is not a valid URL!`);
+      return;
+    }
+
+    this.overlay.handleDisplayStatus(`Downloading template from ${url}...`);
+
+    let blob = null;
+    try {
+      blob = await this.#fetchImage(url);
+    } catch (error) {
+      this.overlay.handleDisplayError(`Could not download the template from ${url}! (${error.message})`);
+      return;
+    }
+
+    await this.createTemplate(blob, name || 'URL template', coords, url);
+  }
+
+  /** Re-downloads every template that has a URL.
+   * A template is only re-chunked when its image has changed.
+   * @since 0.78.26
+   */
+  async refreshURLTemplates() {
+
+    // Kills itself if the previous refresh has not finished yet
+    if (this.isRefreshingURLTemplates) {return;}
+    this.isRefreshingURLTemplates = true;
+
+    let refreshedCount = 0; // Number of templates that changed
+
+    try {
+      for (const template of this.templatesArray.filter(template => template.url)) {
+
+        const templateValue = this.templatesJSON?.templates?.[this.getTemplateKey(template)];
+
+        if (!templateValue) {continue;} // The template was deleted during the refresh
+
+        // The template can't be chunked without knowing where it is
+        if (!template.coords) {
+          console.warn(`Can not refresh "${template.displayName}", because it has no coords!`);
+          continue;
+        }
+
+        let blob = null;
+        try {
+          blob = await this.#fetchImage(template.url);
+        } catch (error) {
+          console.warn(`Could not refresh "${template.displayName}" from ${template.url}:`, error);
+          continue;
+        }
+
+        const hash = await hashBlob(blob);
+
+        if (hash == templateValue['hash']) {continue;} // The image has not changed
+
+        console.log(`Template "${template.displayName}" changed. Re-chunking...`);
+
+        template.file = blob;
+        const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
+        template.chunked = templateTiles; // Stores the chunked tile bitmaps
+        templateValue['tiles'] = templateTilesBuffers; // Stores the chunked tile buffers
+        templateValue['hash'] = hash;
+        refreshedCount++;
+      }
+
+      if (refreshedCount > 0) {
+        await this.#storeTemplates();
+        this.overlay.handleDisplayStatus(`Updated ${refreshedCount} template${refreshedCount == 1 ? '' : 's'} from URL!`);
+      }
+    } finally {
+      this.isRefreshingURLTemplates = false;
+    }
+  }
+
+  /** Re-downloads templates with a URL now, and then on an interval.
+   * Any previous interval is stopped.
+   * @param {number} minutes - The minutes between each refresh. 0 stops refreshing
+   * @since 0.78.26
+   */
+  startURLRefresh(minutes) {
+
+    clearInterval(this.urlRefreshInterval);
+    this.urlRefreshInterval = null;
+
+    if (!(minutes > 0)) {return;} // Refreshing is disabled
+
+    this.refreshURLTemplates().catch(error => console.error(`Failed to refresh URL templates:`, error));
+
+    this.urlRefreshInterval = setInterval(() => {
+      this.refreshURLTemplates().catch(error => console.error(`Failed to refresh URL templates:`, error));
+    }, minutes * 60000);
+  }
+
+  /** Finds the next unused sort ID.
+   * The sort ID is one higher than the highest sort ID of any template already loaded, so new templates are drawn on top.
+   * @returns {number} The next sort ID
+   * @since 0.78.19
+   */
+  #nextSortID() {
+    const keys = Object.keys(this.templatesJSON?.templates || {}); // "0 $Z", "1 $Z", etc.
+    const sortIDs = [
+      ...this.templatesArray.map(template => Number(template.sortID)),
+      ...keys.map(key => Number(key.split(' ')?.[0]))
+    ].filter(sortID => Number.isFinite(sortID));
+
+    return sortIDs.length ? Math.max(...sortIDs) + 1 : 0;
+  }
+
   /** Generates a {@link Template} class instance from the JSON object template
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @param {Object} templateValue - The value of the template in the JSON object
+   * @returns {Promise<Template>} The template instance
+   * @since 0.78.20
    */
-  #loadTemplate() {
+  async #loadTemplate(templateKey, templateValue) {
+
+    const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
+    const sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
+    const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
+    const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
+    const coords = templateValue?.coords?.split(',').map(Number); // "1, 2, 3, 4" -> [1, 2, 3, 4]
+    const tilesbase64 = templateValue.tiles;
+    const templateTiles = {}; // Stores the template bitmap tiles for each tile.
+
+    for (const tile in tilesbase64) {
+      console.log(tile);
+      if (tilesbase64.hasOwnProperty(tile)) {
+        const encodedTemplateBase64 = tilesbase64[tile];
+        const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
+
+        const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
+        const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
+        templateTiles[tile] = templateBitmap;
+      }
+    }
+
+    // Creates a new Template class instance
+    const template = new Template({
+      displayName: displayName,
+      sortID: Number.isFinite(sortID) ? sortID : this.#nextSortID(),
+      authorID: authorID || '',
+      url: templateValue['URL'] || '',
+      enabled: templateValue['enabled'] ?? true,
+      protection: templateValue['protection'] ?? 'all',
+      coords: (coords?.length == 4 && coords.every(Number.isFinite)) ? coords : null // Templates without valid coords have no known origin
+    });
+    template.chunked = templateTiles;
+    template.countPixelsFromTiles(templateTiles); // Loaded templates have no source image to count
+
+    // Loads the mask of priority zones, if any
+    if (templateValue['mask']) {
+      await template.setMask(new Blob([base64ToUint8(templateValue['mask'])], { type: "image/png" }));
+    }
 
+    return template;
   }
 
   /** Stores the JSON object of the loaded templates into TamperMonkey (GreaseMonkey) storage.
+   * Also notifies the overlay that the loaded templates have changed.
    * @since 0.72.7
    */
   async #storeTemplates() {
-    GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
+    await GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
+    document.dispatchEvent(new CustomEvent('bmTemplatesChanged'));
+  }
+
+  /** Retrieves the key of a template in the JSON object.
+   * @param {Template} template - The template instance
+   * @returns {string} The key of the template (E.g., "0 $Z")
+   * @since 0.78.20
+   */
+  getTemplateKey(template) {
+    return `${template.sortID} ${template.authorID}`;
   }
 
   /** Deletes a template from the JSON object.
    * Also delete's the corrosponding {@link Template} class instance
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @returns {Promise<boolean>} Was the template deleted?
+   * @since 0.78.20
    */
-  deleteTemplate() {
+  async deleteTemplate(templateKey) {
+
+    const templateValue = this.templatesJSON?.templates?.[templateKey];
+
+    // Kills itself if the template does not exist
+    if (!templateValue) {
+      this.overlay.handleDisplayError(`Could not find the template to delete!`);
+      return false;
+    }
+
+    delete this.templatesJSON.templates[templateKey]; // Deletes the template from the JSON object
 
+    // Deletes the template instance. The array is modified in place, since other parts of the userscript hold a reference to it
+    const templateIndex = this.templatesArray.findIndex(template => this.getTemplateKey(template) == templateKey);
+    if (templateIndex != -1) {this.templatesArray.splice(templateIndex, 1);}
+
+    await this.#storeTemplates();
+
+    this.overlay.handleDisplayStatus(`Deleted template "${templateValue.name}"!`);
+    return true;
+  }
+
+  /** Enables the template, so it is shown again.
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @since 0.78.20
+   */
+  async enableTemplate(templateKey) {
+    await this.#setTemplateEnabled(templateKey, true);
   }
 
   /** Disables the template from view
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @since 0.78.20
    */
-  async disableTemplate() {
+  async disableTemplate(templateKey) {
+    await this.#setTemplateEnabled(templateKey, false);
+  }
+
+  /** Sets the "enabled" flag of the template in the JSON object, and stores the change.
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @param {boolean} isEnabled - Should the template be enabled?
+   * @since 0.78.20
+   */
+  async #setTemplateEnabled(templateKey, isEnabled) {
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
 
+    const templateValue = this.templatesJSON.templates[templateKey];
+
+    // Kills itself if the template does not exist
+    if (!templateValue) {return;}
+
+    templateValue['enabled'] = isEnabled;
 
+    // Updates the template instance as well
+    const template = this.templatesArray.find(template => this.getTemplateKey(template) == templateKey);
+    if (template) {template.enabled = isEnabled;}
+
+    await this.#storeTemplates();
+
+    this.overlay.handleDisplayStatus(`${isEnabled ? 'Enabled' : 'Disabled'} template "${templateValue.name}"!`);
+  }
+
+  /** Sets or removes the mask of priority zones of the template, and stores the change.
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @param {Blob|null} blob - The mask image, or null to remove the mask
+   * @returns {Promise<boolean>} Was the mask changed?
+   * @since 0.78.32
+   */
+  async setTemplateMask(templateKey, blob) {
+
+    const templateValue = this.templatesJSON?.templates?.[templateKey];
+    const template = this.templatesArray.find(template => this.getTemplateKey(template) == templateKey);
+
+    // Kills itself if the template does not exist
+    if (!templateValue || !template) {
+      this.overlay.handleDisplayError(`Could not find the template to mask!`);
+      return false;
+    }
+
+    try {
+      await template.setMask(blob);
+    } catch (error) {
+      this.overlay.handleDisplayError(`Could not read the mask image!`);
+      console.error(error);
+      return false;
+    }
+
+    if (blob) {
+      templateValue['mask'] = uint8ToBase64(new Uint8Array(await blob.arrayBuffer())); // Stores the mask image
+    } else {
+      delete templateValue['mask'];
+    }
+
+    await this.#storeTemplates();
+
+    this.overlay.handleDisplayStatus(`${blob ? 'Set' : 'Removed'} the mask of template "${templateValue.name}"!`);
+    return true;
+  }
+
+  /** Sets which part of the template protection mode watches, and stores the change.
+   * @param {string} templateKey - The key of the template in the JSON object (E.g., "0 $Z")
+   * @param {string|Array<number>} protection - 'all', 'none', or a rectangle as [x, y, width, height] from the top left corner of the template
+   * @since 0.78.43
+   */
+  async setTemplateProtection(templateKey, protection) {
+
+    const templateValue = this.templatesJSON?.templates?.[templateKey];
+    const template = this.templatesArray.find(template => this.getTemplateKey(template) == templateKey);
+
+    // Kills itself if the template does not exist
+    if (!templateValue || !template) {
+      this.overlay.handleDisplayError(`Could not find the template to protect!`);
+      return;
+    }
+
+    template.protection = protection;
+    if (protection == 'all') {
+      delete templateValue['protection']; // Templates are fully protected by default
+    } else {
+      templateValue['protection'] = protection;
+    }
+
+    await this.#storeTemplates();
+
+    const protectedPart = Array.isArray(protection) ? `the rectangle ${protection.join(', ')}` : protection == 'none' ? 'nothing' : 'everything';
+    this.overlay.handleDisplayStatus(`Protection mode watches ${protectedPart} of template "${templateValue.name}"!`);
+  }
+
+  /** Shows or hides the grief heatmap. The heatmap is drawn on tiles as they load.
+   * @param {Object<string, number>|null} griefCounts - How often each pixel was griefed, as "tileX,tileY,pixelX,pixelY" -> count (see {@link GriefLog#getGriefCounts}), or null to hide the heatmap
+   * @since 0.78.41
+   */
+  setGriefHeatmap(griefCounts) {
+    if (!griefCounts) {
+      this.griefHeatmap = null;
+      this.griefHeatmapMax = 0;
+      return;
+    }
+
+    // Groups the grief counts by tile, so each tile only looks at its own pixels
+    const heatmap = new Map(); // "tileX,tileY" -> Map of "pixelX,pixelY" -> count
+    let mostGriefed = 0;
+    for (const [pixelKey, count] of Object.entries(griefCounts)) {
+      const [tileX, tileY, pixelX, pixelY] = pixelKey.split(',');
+      const tileKey = `${tileX},${tileY}`;
+      if (!heatmap.has(tileKey)) {heatmap.set(tileKey, new Map());}
+
+      heatmap.get(tileKey).set(`${pixelX},${pixelY}`, count);
+      mostGriefed = Math.max(mostGriefed, count);
+    }
+
+    this.griefHeatmap = heatmap;
+    this.griefHeatmapMax = mostGriefed;
   }
 
   /** Draws all templates on the specified tile.
@@ -204,9 +537,6 @@ export default class TemplateManager {
    */
   async drawTemplateOnTile(tileBlob, tileCoords) {
 
-    // Returns early if no templates should be drawn
-    if (!this.templatesShouldBeDrawn) {return tileBlob;}
-
     const drawSize = this.tileSize * this.drawMult; // Calculate draw multiplier for scaling
 
     // Format tile coordinates with proper padding for consistent lookup
@@ -214,9 +544,12 @@ export default class TemplateManager {
 
     console.log(`Searching for templates in tile: "${tileCoords}"`);
 
-    const templateArray = this.templatesArray; // Stores a copy for sorting
+    const templateArray = this.getEnabledTemplates(); // Stores a copy for sorting. Disabled templates are not drawn
     console.log(templateArray);
 
+    // Returns early if no templates should be drawn
+    if (!templateArray.length) {return tileBlob;}
+
     // Sorts the array of Template class instances. 0 = first = lowest draw priority
     templateArray.sort((a, b) => {return a.sortID - b.sortID;});
 
@@ -293,6 +626,15 @@ export default class TemplateManager {
     context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
     context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
 
+    // Shows the priority zones of each template mask under the templates
+    for (const template of templateArray) {
+      if (!template.mask || !template.coords) {continue;}
+
+      const maskX = (template.coords[0] * this.tileSize + template.coords[2]) - Number(tileCoords.split(',')[0]) * this.tileSize;
+      const maskY = (template.coords[1] * this.tileSize + template.coords[3]) - Number(tileCoords.split(',')[1]) * this.tileSize;
+      context.drawImage(template.mask.bitmap, maskX * this.drawMult, maskY * this.drawMult, template.mask.width * this.drawMult, template.mask.height * this.drawMult);
+    }
+
     // For each template in this tile, draw them.
     for (const template of templatesToDraw) {
       console.log(`Template:`);
@@ -302,25 +644,69 @@ export default class TemplateManager {
       context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
     }
 
+    // Tints the griefed pixels on top of the templates. Yellow was griefed the least, and red the most
+    const griefedPixels = this.griefHeatmap?.get(tileCoords.split(',').map(Number).join(','));
+    if (griefedPixels) {
+      for (const [pixelKey, count] of griefedPixels) {
+        const [pixelX, pixelY] = pixelKey.split(',').map(Number);
+        const heat = count / this.griefHeatmapMax; // 0 to 1
+
+        context.fillStyle = `hsla(${60 - heat * 60}, 100%, 50%, ${0.35 + heat * 0.45})`;
+        context.fillRect(pixelX * this.drawMult, pixelY * this.drawMult, this.drawMult, this.drawMult);
+      }
+    }
+
     return await canvas.convertToBlob({ type: 'image/png' });
   }
 
   /** Imports the JSON object, and appends it to any JSON object already loaded
    * @param {string} json - The JSON string to parse
+   * @param {boolean} [shouldStore] - (Optional) Should the templates be stored after importing? False by default
+   * @returns {Promise<Array<string>|null>} The problems found while importing, or null if the JSON object is not a known template format
    */
-  importJSON(json) {
+  async importJSON(json, shouldStore=false) {
 
     console.log(`Importing JSON...`);
     console.log(json);
 
+    let errors = []; // The problems found while importing
+
     // If the passed in JSON is a Blue Marble template object...
     if (json?.whoami == 'BlueMarble') {
-      this.#parseBlueMarble(json); // ...parse the template object as Blue Marble
+      errors = await this.#parseBlueMarble(json); // ...parse the template object as Blue Marble
+    } else if (Array.isArray(json?.templates)) {
+      errors = await this.#parseOSU(json); // ...else if it has an array of templates, parse the template object as OSU! Place
+    } else {
+      return null; // ...else the template format is unknown
+    }
+
+    if (shouldStore) {await this.#storeTemplates();}
+
+    return errors;
+  }
+
+  /** Creates a Blue Marble JSON object of the loaded templates, so they can be shared.
+   * @param {string} [templateKey] - (Optional) The key of the only template to export (E.g., "0 $Z"). All templates are exported by default
+   * @returns {Promise<Object|null>} The JSON object, or null if there is nothing to export
+   * @since 0.78.24
+   */
+  async exportJSON(templateKey=null) {
+
+    const json = await this.createJSON();
+    const templates = this.templatesJSON?.templates || {};
+
+    for (const key in templates) {
+      if (templates.hasOwnProperty(key) && (templateKey === null || key == templateKey)) {
+        json.templates[key] = templates[key];
+      }
     }
+
+    return Object.keys(json.templates).length ? json : null;
   }
 
   /** Parses the Blue Marble JSON object
    * @param {string} json - The JSON string to parse
+   * @returns {Promise<Array<string>>} The problems found while parsing. Templates with problems are skipped
    * @since 0.72.13
    */
   async #parseBlueMarble(json) {
@@ -329,65 +715,202 @@ export default class TemplateManager {
 
     const templates = json.templates;
 
+    if (!templates || (typeof templates != 'object') || Array.isArray(templates)) {
+      return ['"templates" is missing, or is not an object!'];
+    }
+
+    const errors = []; // The problems found while parsing
+
     console.log(`BlueMarble length: ${Object.keys(templates).length}`);
 
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
+
     if (Object.keys(templates).length > 0) {
 
       for (const template in templates) {
 
-        const templateKey = template;
+        let templateKey = template;
         const templateValue = templates[template];
         console.log(templateKey);
 
         if (templates.hasOwnProperty(template)) {
 
-          const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
-          const sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
-          const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
-          const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
-          //const coords = templateValue?.coords?.split(',').map(Number); // "1,2,3,4" -> [1, 2, 3, 4]
-          const tilesbase64 = templateValue.tiles;
-          const templateTiles = {}; // Stores the template bitmap tiles for each tile.
-
-          for (const tile in tilesbase64) {
-            console.log(tile);
-            if (tilesbase64.hasOwnProperty(tile)) {
-              const encodedTemplateBase64 = tilesbase64[tile];
-              const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
-
-              const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
-              const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
-              templateTiles[tile] = templateBitmap;
-            }
+          // If a template with the same key is already loaded, the imported template is appended instead of overwriting it
+          if (this.templatesJSON.templates[templateKey]) {
+            const authorID = templateKey.split(' ')?.[1] || '0'; // User ID of the person who exported the template
+            templateKey = `${this.#nextSortID()} ${authorID}`;
+            console.log(`Template key collision! Importing as "${templateKey}"`);
+          }
+
+          // Templates with broken tiles are skipped, so no half-loaded template is kept
+          let template = null;
+          try {
+            template = await this.#loadTemplate(templateKey, templateValue);
+          } catch (error) {
+            console.error(`Failed to load template "${templateKey}":`, error);
+            errors.push(`"${templateValue?.name || templateKey}" could not be loaded!`);
+            continue;
           }
 
-          // Creates a new Template class instance
-          const template = new Template({
-            displayName: displayName,
-            sortID: sortID || this.templatesArray?.length || 0,
-            authorID: authorID || '',
-            //coords: coords
-          });
-          template.chunked = templateTiles;
           this.templatesArray.push(template);
+          this.templatesJSON.templates[this.getTemplateKey(template)] = templateValue; // Keeps the template when the JSON is stored again
           console.log(this.templatesArray);
           console.log(`^^^ This ^^^`);
         }
       }
     }
+
+    document.dispatchEvent(new CustomEvent('bmTemplatesChanged'));
+
+    return errors;
   }
 
-  /** Parses the OSU! Place JSON object
+  /** Parses the OSU! Place JSON object.
+   * Every template image is downloaded from its sources, then created as a Blue Marble template.
+   * The "x" and "y" origin of an OSU! Place template is treated as the absolute pixel on the canvas.
+   * @param {Object} json - The OSU! Place JSON object
+   * @returns {Promise<Array<string>>} The problems found while parsing. Templates with problems are skipped
+   * @since 0.78.25
+   * @example
+   * // JSON structure for an OSU! Place template
+   * {
+   *   "faction": "osu!",
+   *   "contact": "https://discord.gg/...",
+   *   "templates": [
+   *     {
+   *       "name": "My Template",
+   *       "sources": ["https://example.com/template.png"],
+   *       "x": 1231183,
+   *       "y": 47593
+   *     }
+   *   ],
+   *   "whitelist": [],
+   *   "blacklist": []
+   * }
    */
-  #parseOSU() {
+  async #parseOSU(json) {
+
+    console.log(`Parsing OSU...`);
+
+    const errors = []; // The problems found while parsing
+
+    // Linked template files are not followed
+    for (const field of ['whitelist', 'blacklist']) {
+      if (json[field]?.length) {
+        errors.push(`"${field}" (linked template files) is not supported!`);
+      }
+    }
+
+    for (const [index, templateOSU] of json.templates.entries()) {
+
+      const displayName = templateOSU?.['name'] || `Template ${index}`; // Display name of the template
+      const originX = Number(templateOSU?.['x']); // Absolute pixel X on the canvas
+      const originY = Number(templateOSU?.['y']); // Absolute pixel Y on the canvas
+      const sources = Array.isArray(templateOSU?.['sources']) ? templateOSU['sources'] : []; // The URLs of the template image
+
+      if (!Number.isFinite(originX) || !Number.isFinite(originY)) {
+        errors.push(`"${displayName}" has no "x" and "y" origin!`);
+        continue;
+      }
+
+      if ((originX < 0) || (originY < 0)) {
+        errors.push(`"${displayName}" is outside of the canvas (${originX}, ${originY})!`);
+        continue;
+      }
+
+      if ((Number(templateOSU?.['frameCount']) || 1) > 1) {
+        errors.push(`"${displayName}" is animated ("frameCount"), which is not supported!`);
+        continue;
+      }
+
+      if (!sources.length) {
+        errors.push(`"${displayName}" has no image "sources"!`);
+        continue;
+      }
+
+      // Tries every source (mirror) until one of them can be downloaded
+      let blob = null;
+      let url = '';
+      for (const source of sources) {
+        try {
+          blob = await this.#fetchImage(source);
+          url = source;
+          break;
+        } catch (error) {
+          console.warn(`Could not download "${source}":`, error);
+        }
+      }
 
+      if (!blob) {
+        errors.push(`"${displayName}" could not be downloaded from any of its "sources"!`);
+        continue;
+      }
+
+      // Absolute pixel -> (tileX, tileY, pixelX, pixelY)
+      const coords = [
+        Math.floor(originX / this.tileSize),
+        Math.floor(originY / this.tileSize),
+        negativeSafeModulo(originX, this.tileSize),
+        negativeSafeModulo(originY, this.tileSize)
+      ];
+
+      await this.createTemplate(blob, displayName, coords, url);
+    }
+
+    return errors;
   }
 
-  /** Sets the `templatesShouldBeDrawn` boolean to a value.
-   * @param {boolean} value - The value to set the boolean to
-   * @since 0.73.7
+  /** Downloads an image.
+   * This uses `GM_xmlhttpRequest` so images can be downloaded from other websites.
+   * @param {string} url - The URL of the image
+   * @returns {Promise<Blob>} The image as a Blob
+   * @since 0.78.25
    */
-  setTemplatesShouldBeDrawn(value) {
-    this.templatesShouldBeDrawn = value;
+  #fetchImage(url) {
+    return new Promise((resolve, reject) => {
+      GM_xmlhttpRequest({
+        'method': 'GET',
+        'url': url,
+        'responseType': 'blob',
+        'onload': (response) => {
+          // Rejects anything that is not a 2xx status
+          if (response['status']?.toString()[0] != '2') {
+            reject(new Error(`Status ${response['status']}`));
+            return;
+          }
+          resolve(response['response']);
+        },
+        'onerror': () => reject(new Error('Network error')),
+        'ontimeout': () => reject(new Error('Timed out'))
+      });
+    });
+  }
+
+  /** Retrieves all enabled templates.
+   * @returns {Array<Template>} A copy of the template array, containing only enabled templates
+   * @since 0.78.21
+   */
+  getEnabledTemplates() {
+    return this.templatesArray.filter(template => template.enabled);
+  }
+
+  /** Enables or disables every loaded template, and stores the change.
+   * @param {boolean} isEnabled - Should all templates be enabled?
+   * @since 0.78.21
+   */
+  async setAllTemplatesEnabled(isEnabled) {
+
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON(); console.log(`Creating JSON...`);}
+
+    for (const template of this.templatesArray) {
+      template.enabled = isEnabled;
+
+      const templateValue = this.templatesJSON.templates[this.getTemplateKey(template)];
+      if (templateValue) {templateValue['enabled'] = isEnabled;}
+    }
+
+    await this.#storeTemplates();
   }
 }
\ No newline at end of file
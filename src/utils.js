@@ -125,4 +125,14 @@ export function base64ToUint8(base64) {
     array[i] = binary.charCodeAt(i);
   }
   return array;
+}
+
+/** Hashes a Blob using the browser's built-in SHA-256 digest
+ * @param {Blob} blob - The Blob to hash
+ * @returns {Promise<string>} The hash as a hexadecimal string
+ * @since 0.78.26
+ */
+export async function hashBlob(blob) {
+  const buffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
 }
\ No newline at end of file